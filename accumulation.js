@@ -6,11 +6,11 @@ const DEFAULT_SEASON_START_DAY = 1;
  *
  * Rules:
  * - Season resets on seasonStartMonth/seasonStartDay (defaults to Nov 1)
- * - Rain days (snowfall_cm === -1) keep previous accumulated value
- * - Only snowfall > 0 is added to the accumulated value
+ * - Only snow_cm > 0 is added to the accumulated value (rain is in rain_mm)
+ * - Older files without snow_cm use snowfall_cm, where rain days are -1 and add nothing
  * - Optionally filter out rows before cutoffDate (inclusive of cutoff)
  *
- * @param {Array<Object>} rows Array of rows with at least { date, snowfall_cm }
+ * @param {Array<Object>} rows Array of rows with at least { date, snow_cm }
  * @param {Object} options
  * @param {number} options.seasonStartMonth 0-indexed month for winter start (default 10 = Nov)
  * @param {number} options.seasonStartDay Day of month for winter start (default 1)
@@ -75,12 +75,9 @@ function addAccumulatedSnowfall(
       currentWinterYear = winterYear;
     }
 
-    const snowfallVal = parseFloat(row.snowfall_cm);
-    const isRain = snowfallVal === -1;
-    const isSnow = !isNaN(snowfallVal) && snowfallVal > 0;
-
-    if (!isRain && isSnow) {
-      accumulated += snowfallVal;
+    const snowVal = parseFloat(row.snow_cm ?? row.snowfall_cm);
+    if (!isNaN(snowVal) && snowVal > 0) {
+      accumulated += snowVal;
     }
 
     result.push({
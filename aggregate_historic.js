@@ -1,169 +1,62 @@
 const fs = require('fs');
 const path = require('path');
-const { calculateSnowfall } = require('./snowfall.js');
 const { addAccumulatedSnowfall } = require('./accumulation.js');
+const { addSnowpackDepth } = require('./snowpack.js');
+const { addDriftIndex, updateWindRoses } = require('./wind.js');
+const { addSurfaceCondition } = require('./surface.js');
+const { addFluffScore } = require('./fluffiness.js');
+const { WET_BULB_METHODS, DEFAULT_WET_BULB_METHOD } = require('./snowfall.js');
+const {
+  AGGREGATED_COLUMNS,
+  QUALITY_POLICIES,
+  DEFAULT_QUALITY_POLICY,
+  aggregateDailyRows,
+  formatDailyRow
+} = require('./daily_aggregation.js');
+const { STATIONS, getDefaultStation, getStationDataDir, parseStationArg } = require('./stations.js');
+const { parseSMHIArchiveCSV } = require('./smhi_api.js');
+const { getWinterSeasonStartYear, getSeasonFilename } = require('./seasons.js');
+const { calculateHourlyCoverage, updateSeasonCatalog } = require('./season_catalog.js');
+const { getArgValue } = require('./args.js');
 
-const RAW_DATA_DIR = path.join(__dirname, 'data', 'raw');
-const HISTORIC_DATA_DIR = path.join(__dirname, 'data', 'historic');
+/**
+ * Get raw (SMHI CSV downloads) and historic (aggregated) directories for a station
+ */
+function getStationDirs(station) {
+  const dataDir = path.join(__dirname, getStationDataDir(station));
+  return {
+    rawDir: path.join(dataDir, 'raw'),
+    historicDir: path.join(dataDir, 'historic')
+  };
+}
 
 /**
  * Parse SMHI CSV file and extract hourly data
- * SMHI CSV format: semicolon-separated, data starts at line 11
+ * SMHI CSV format: semicolon-separated, see parseSMHIArchiveCSV in smhi_api.js
  * Format: Datum;Tid (UTC);Value;Kvalitet;...
  */
 function parseSMHICSV(filePath, valueColumnIndex = 2) {
   const content = fs.readFileSync(filePath, 'utf-8');
-  const lines = content.split('\n');
-  
-  // Data starts at line 11 (index 10)
-  const data = [];
-  for (let i = 10; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line || line.startsWith(';')) continue;
-    
-    const parts = line.split(';');
-    if (parts.length < 3) continue;
-    
-    const dateStr = parts[0];
-    const timeStr = parts[1];
-    const valueStr = parts[valueColumnIndex];
-    
-    if (!dateStr || !timeStr || !valueStr) continue;
-    
-    // Parse date and time
-    const dateTimeStr = `${dateStr}T${timeStr}`;
-    const timestamp = new Date(dateTimeStr + 'Z'); // UTC
-    
-    if (isNaN(timestamp.getTime())) continue;
-    
-    const value = parseFloat(valueStr);
-    if (isNaN(value)) continue;
-    
-    data.push({ timestamp, value });
-  }
-  
-  return data;
+  return parseSMHIArchiveCSV(content, valueColumnIndex);
 }
 
 /**
  * Parse wind data CSV (has both direction and speed)
+ * Format: Datum;Tid (UTC);Vindriktning;Kvalitet;Vindhastighet;Kvalitet
  */
 function parseWindCSV(filePath) {
   const content = fs.readFileSync(filePath, 'utf-8');
-  const lines = content.split('\n');
-  
-  const data = { direction: [], speed: [] };
-  for (let i = 10; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line || line.startsWith(';')) continue;
-    
-    const parts = line.split(';');
-    if (parts.length < 5) continue;
-    
-    const dateStr = parts[0];
-    const timeStr = parts[1];
-    const directionStr = parts[2];
-    const speedStr = parts[4];
-    
-    if (!dateStr || !timeStr) continue;
-    
-    const dateTimeStr = `${dateStr}T${timeStr}`;
-    const timestamp = new Date(dateTimeStr + 'Z');
-    
-    if (isNaN(timestamp.getTime())) continue;
-    
-    if (directionStr) {
-      const direction = parseFloat(directionStr);
-      if (!isNaN(direction)) {
-        data.direction.push({ timestamp, value: direction });
-      }
-    }
-    
-    if (speedStr) {
-      const speed = parseFloat(speedStr);
-      if (!isNaN(speed)) {
-        data.speed.push({ timestamp, value: speed });
-      }
-    }
-  }
-  
-  return data;
-}
-
-/**
- * Get hour in CET (UTC+1, or UTC+2 during DST)
- * Simplified: CET is UTC+1, CEST is UTC+2
- */
-function getHourInCET(date) {
-  const utcHour = date.getUTCHours();
-  // DST: last Sunday in March to last Sunday in October
-  const month = date.getUTCMonth();
-  const day = date.getUTCDate();
-  const dayOfWeek = date.getUTCDay();
-  
-  // Approximate DST: March-October (simplified)
-  const isDST = month >= 2 && month <= 9; // March (2) to October (9)
-  return isDST ? (utcHour + 2) % 24 : (utcHour + 1) % 24;
-}
-
-/**
- * Get date key in CET (YYYY-MM-DD)
- */
-function getDateKeyInCET(date) {
-  const utcDate = new Date(date);
-  const month = utcDate.getUTCMonth();
-  const day = utcDate.getUTCDate();
-  const year = utcDate.getUTCFullYear();
-  
-  // Adjust for CET timezone
-  const hourCET = getHourInCET(date);
-  const hourUTC = date.getUTCHours();
-  
-  // If CET hour is before UTC hour, we're in next day in CET
-  let cetYear = year;
-  let cetMonth = month;
-  let cetDay = day;
-  
-  if (hourCET < hourUTC || (hourCET === 0 && hourUTC > 0)) {
-    const nextDay = new Date(utcDate);
-    nextDay.setUTCDate(nextDay.getUTCDate() + 1);
-    cetYear = nextDay.getUTCFullYear();
-    cetMonth = nextDay.getUTCMonth();
-    cetDay = nextDay.getUTCDate();
-  }
-  
-  return `${cetYear}-${String(cetMonth + 1).padStart(2, '0')}-${String(cetDay).padStart(2, '0')}`;
-}
-
-/**
- * Get winter season key (e.g., "9596" for Nov 1995 - Apr 1996)
- */
-function getWinterSeason(date) {
-  const year = date.getFullYear();
-  const month = date.getMonth() + 1; // 1-12
-  
-  // Winter season: November (11) - April (4)
-  if (month >= 11) {
-    // Nov-Dec: current year to next year
-    const year1 = String(year).slice(-2);
-    const year2 = String(year + 1).slice(-2);
-    return `${year1}${year2}`;
-  } else if (month <= 4) {
-    // Jan-Apr: previous year to current year
-    const year1 = String(year - 1).slice(-2);
-    const year2 = String(year).slice(-2);
-    return `${year1}${year2}`;
-  } else {
-    // May-Oct: not in winter season
-    return null;
-  }
+  return {
+    direction: parseSMHIArchiveCSV(content, 2),
+    speed: parseSMHIArchiveCSV(content, 4)
+  };
 }
 
 /**
  * Load all raw data files
  */
-function loadAllRawData(startDate = null, endDate = null) {
-  const files = fs.readdirSync(RAW_DATA_DIR);
+function loadAllRawData(rawDir, startDate = null, endDate = null) {
+  const files = fs.readdirSync(rawDir);
   
   let temperature = [];
   let precipitation = [];
@@ -171,11 +64,15 @@ function loadAllRawData(startDate = null, endDate = null) {
   let visibility = [];
   let windDirection = [];
   let windSpeed = [];
+  let snowDepth = [];
+  let dewPoint = [];
+  let pressure = [];
+  let presentWeather = [];
   
   for (const file of files) {
     if (!file.endsWith('.csv')) continue;
     
-    const filePath = path.join(RAW_DATA_DIR, file);
+    const filePath = path.join(rawDir, file);
     
     if (file.includes('opendata_1_')) {
       // Temperature
@@ -199,6 +96,22 @@ function loadAllRawData(startDate = null, endDate = null) {
       // Visibility
       console.log(`Loading visibility from ${file}...`);
       visibility = parseSMHICSV(filePath, 2);
+    } else if (file.includes('opendata_8_')) {
+      // Snow depth (optional, daily at 06 UTC)
+      console.log(`Loading snow depth from ${file}...`);
+      snowDepth = parseSMHICSV(filePath, 2);
+    } else if (file.includes('opendata_39_')) {
+      // Dew point (optional)
+      console.log(`Loading dew point from ${file}...`);
+      dewPoint = parseSMHICSV(filePath, 2);
+    } else if (file.includes('opendata_9_')) {
+      // Air pressure reduced to sea level (optional)
+      console.log(`Loading pressure from ${file}...`);
+      pressure = parseSMHICSV(filePath, 2);
+    } else if (file.includes('opendata_13_')) {
+      // Present weather code (optional)
+      console.log(`Loading present weather from ${file}...`);
+      presentWeather = parseSMHICSV(filePath, 2);
     }
   }
   
@@ -211,6 +124,10 @@ function loadAllRawData(startDate = null, endDate = null) {
     visibility = visibility.filter(d => d.timestamp >= start);
     windDirection = windDirection.filter(d => d.timestamp >= start);
     windSpeed = windSpeed.filter(d => d.timestamp >= start);
+    snowDepth = snowDepth.filter(d => d.timestamp >= start);
+    dewPoint = dewPoint.filter(d => d.timestamp >= start);
+    pressure = pressure.filter(d => d.timestamp >= start);
+    presentWeather = presentWeather.filter(d => d.timestamp >= start);
   }
   
   if (endDate) {
@@ -221,6 +138,10 @@ function loadAllRawData(startDate = null, endDate = null) {
     visibility = visibility.filter(d => d.timestamp <= end);
     windDirection = windDirection.filter(d => d.timestamp <= end);
     windSpeed = windSpeed.filter(d => d.timestamp <= end);
+    snowDepth = snowDepth.filter(d => d.timestamp <= end);
+    dewPoint = dewPoint.filter(d => d.timestamp <= end);
+    pressure = pressure.filter(d => d.timestamp <= end);
+    presentWeather = presentWeather.filter(d => d.timestamp <= end);
   }
   
   return {
@@ -229,12 +150,18 @@ function loadAllRawData(startDate = null, endDate = null) {
     humidity,
     visibility,
     windDirection,
-    windSpeed
+    windSpeed,
+    snowDepth,
+    dewPoint,
+    pressure,
+    presentWeather
   };
 }
 
 /**
  * Combine hourly data by timestamp
+ * Produces the hourly record format used by daily_aggregation.js,
+ * with SMHI quality codes per parameter in record.quality
  */
 function combineHourlyData(data) {
   // Create a map keyed by timestamp (rounded to hour)
@@ -249,37 +176,32 @@ function combineHourlyData(data) {
     return d.getTime();
   };
   
-  // Add all data points
-  for (const item of data.temperature) {
-    const key = getKey(item.timestamp);
-    if (!combined.has(key)) {
-      combined.set(key, { timestamp: new Date(key) });
-    }
-    combined.get(key).temperature = item.value;
-  }
-  
-  for (const item of data.precipitation) {
-    const key = getKey(item.timestamp);
-    if (!combined.has(key)) {
-      combined.set(key, { timestamp: new Date(key) });
-    }
-    combined.get(key).precipitation = item.value;
-  }
-  
-  for (const item of data.humidity) {
-    const key = getKey(item.timestamp);
-    if (!combined.has(key)) {
-      combined.set(key, { timestamp: new Date(key) });
-    }
-    combined.get(key).humidity = item.value;
-  }
+  // Raw series -> hourly record field
+  const fields = {
+    temperature: 'temperature',
+    precipitation: 'precipitation',
+    humidity: 'humidity',
+    windSpeed: 'wind_speed',
+    windDirection: 'wind_direction',
+    visibility: 'visibility',
+    snowDepth: 'snow_depth',
+    dewPoint: 'dew_point',
+    pressure: 'pressure',
+    presentWeather: 'present_weather'
+  };
   
-  for (const item of data.windSpeed) {
-    const key = getKey(item.timestamp);
-    if (!combined.has(key)) {
-      combined.set(key, { timestamp: new Date(key) });
+  for (const [series, field] of Object.entries(fields)) {
+    for (const item of data[series]) {
+      const key = getKey(item.timestamp);
+      if (!combined.has(key)) {
+        combined.set(key, { timestamp: new Date(key), quality: {} });
+      }
+      const hour = combined.get(key);
+      hour[field] = item.value;
+      if (item.quality) {
+        hour.quality[field] = item.quality;
+      }
     }
-    combined.get(key).windSpeed = item.value;
   }
   
   return Array.from(combined.values());
@@ -287,118 +209,32 @@ function combineHourlyData(data) {
 
 /**
  * Calculate daily aggregates grouped by winter season
+ * @param {Array<Object>} hourlyData - Hourly records
+ * @param {string} qualityPolicy - How values with SMHI quality other than G are handled
+ * @param {number} elevation - Station elevation (m), for the station pressure in the wet bulb
+ * @param {string} wetBulbMethod - Wet-bulb method (key in WET_BULB_METHODS)
+ * @returns {Object} Daily rows keyed by starting year of the season
  */
-function calculateDailyAggregates(hourlyData) {
-  // Group by day (8 AM CET - 8 AM CET next day) and winter season
-  const dailyBySeason = {};
-  
-  for (const hour of hourlyData) {
-    const date = hour.timestamp;
-    const hourCET = getHourInCET(date);
-    
-    // Determine which day this hour belongs to (8 AM CET - 8 AM CET next day)
-    let dayKey;
-    if (hourCET < 8) {
-      const prevDay = new Date(date);
-      prevDay.setUTCDate(prevDay.getUTCDate() - 1);
-      dayKey = getDateKeyInCET(prevDay);
-    } else {
-      dayKey = getDateKeyInCET(date);
-    }
-    
-    // Get winter season
-    const season = getWinterSeason(new Date(dayKey));
-    if (!season) continue; // Skip non-winter months
-    
-    if (!dailyBySeason[season]) {
-      dailyBySeason[season] = {};
-    }
-    
-    if (!dailyBySeason[season][dayKey]) {
-      dailyBySeason[season][dayKey] = {
-        temperatures: [],
-        humidities: [],
-        precipitations: [],
-        windSpeeds: [],
-        snowfallData: []
-      };
-    }
-    
-    const day = dailyBySeason[season][dayKey];
-    
-    if (hour.temperature !== undefined) {
-      day.temperatures.push(hour.temperature);
-    }
-    if (hour.humidity !== undefined) {
-      day.humidities.push(hour.humidity);
-    }
-    if (hour.precipitation !== undefined) {
-      day.precipitations.push(hour.precipitation);
-    }
-    if (hour.windSpeed !== undefined) {
-      day.windSpeeds.push(hour.windSpeed);
-    }
-    
-    // Calculate snowfall for this hour
-    const temp = hour.temperature;
-    const precip = hour.precipitation;
-    const wind = hour.windSpeed || 0;
-    const hum = hour.humidity || 90;
-    
-    if (temp !== undefined && precip !== undefined) {
-      const snowCalc = calculateSnowfall(temp, precip, wind, hum);
-      day.snowfallData.push(snowCalc);
-    }
-  }
+function calculateDailyAggregates(hourlyData, qualityPolicy = DEFAULT_QUALITY_POLICY, elevation = 0, wetBulbMethod = DEFAULT_WET_BULB_METHOD) {
+  // Group by day (8 AM CET - 8 AM CET next day), see daily_aggregation.js
+  // Modeled columns carry state over from day to day, so they run over all hourly data
+  const modelOptions = { qualityPolicy, elevation, wetBulbMethod };
+  let dailyRows = aggregateDailyRows(hourlyData, modelOptions);
+  dailyRows = addSnowpackDepth(dailyRows, hourlyData, modelOptions);
+  dailyRows = addDriftIndex(dailyRows, hourlyData, modelOptions);
+  dailyRows = addSurfaceCondition(dailyRows, hourlyData, modelOptions);
+  dailyRows = addFluffScore(dailyRows, hourlyData, modelOptions);
   
-  // Calculate daily totals
   const aggregated = {};
-  for (const [season, days] of Object.entries(dailyBySeason)) {
-    aggregated[season] = [];
+  for (const row of dailyRows) {
+    // Get winter season
+    const season = getWinterSeasonStartYear(new Date(row.date));
+    if (season === null) continue; // Skip non-winter months
     
-    for (const [date, day] of Object.entries(days).sort()) {
-      // Calculate temperature min/max
-      const tempMax = day.temperatures.length > 0
-        ? Math.max(...day.temperatures).toFixed(1)
-        : '';
-      const tempMin = day.temperatures.length > 0
-        ? Math.min(...day.temperatures).toFixed(1)
-        : '';
-      
-      // Calculate average humidity
-      const humidityAvg = day.humidities.length > 0
-        ? (day.humidities.reduce((sum, h) => sum + h, 0) / day.humidities.length).toFixed(1)
-        : '90.0';
-      
-      // Calculate snowfall
-      let hasRain = false;
-      let totalSnowfall = 0;
-      let weightedSlr = 0;
-      let totalAmount = 0;
-      
-      for (const snow of day.snowfallData) {
-        if (snow.slr === -1 || snow.amount < 0) {
-          hasRain = true;
-        } else if (snow.amount > 0) {
-          totalSnowfall += snow.amount;
-          weightedSlr += snow.slr * snow.amount;
-          totalAmount += snow.amount;
-        }
-      }
-      
-      const avgSlr = totalAmount > 0 ? (weightedSlr / totalAmount).toFixed(1) : '0';
-      const snowfall = hasRain ? '-1' : totalSnowfall.toFixed(2);
-      const slr = hasRain ? '-1' : avgSlr;
-      
-      aggregated[season].push({
-        date,
-        snowfall_cm: snowfall,
-        slr,
-        temp_max: tempMax,
-        temp_min: tempMin,
-        humidity_avg: humidityAvg
-      });
+    if (!aggregated[season]) {
+      aggregated[season] = [];
     }
+    aggregated[season].push(row);
   }
   
   return aggregated;
@@ -407,17 +243,17 @@ function calculateDailyAggregates(hourlyData) {
 /**
  * Write aggregated data to CSV files
  */
-function writeAggregatedFiles(aggregated) {
+function writeAggregatedFiles(historicDir, aggregated) {
   // Create historic directory if it doesn't exist
-  if (!fs.existsSync(HISTORIC_DATA_DIR)) {
-    fs.mkdirSync(HISTORIC_DATA_DIR, { recursive: true });
+  if (!fs.existsSync(historicDir)) {
+    fs.mkdirSync(historicDir, { recursive: true });
   }
   
-  const header = 'date,snowfall_cm,slr,temp_max,temp_min,humidity_avg,accumulated_snowfall_cm\n';
+  const header = AGGREGATED_COLUMNS.join(',') + '\n';
   
   for (const [season, data] of Object.entries(aggregated)) {
-    const filename = `agg${season}.csv`;
-    const filepath = path.join(HISTORIC_DATA_DIR, filename);
+    const filename = getSeasonFilename(Number(season));
+    const filepath = path.join(historicDir, filename);
     
     // Add accumulated snowfall for this season (season already isolated, so no cutoff)
     const withAccumulated = addAccumulatedSnowfall(data, {
@@ -426,9 +262,7 @@ function writeAggregatedFiles(aggregated) {
       cutoffDate: null,
     });
 
-    const lines = withAccumulated.map(row => 
-      `${row.date},${row.snowfall_cm},${row.slr},${row.temp_max},${row.temp_min},${row.humidity_avg},${row.accumulated_snowfall_cm}`
-    );
+    const lines = withAccumulated.map(formatDailyRow);
     
     const content = header + lines.join('\n') + '\n';
     fs.writeFileSync(filepath, content);
@@ -439,12 +273,14 @@ function writeAggregatedFiles(aggregated) {
 /**
  * Main function
  */
-function aggregateHistoricData(startDate = null, endDate = null) {
-  console.log('Loading raw data files...');
+function aggregateHistoricData(station, startDate = null, endDate = null, qualityPolicy = DEFAULT_QUALITY_POLICY, wetBulbMethod = DEFAULT_WET_BULB_METHOD) {
+  const { rawDir, historicDir } = getStationDirs(station);
+
+  console.log(`Loading raw data files for ${station.name} from ${rawDir}...`);
   if (startDate) console.log(`  Start date: ${startDate}`);
   if (endDate) console.log(`  End date: ${endDate}`);
   
-  const rawData = loadAllRawData(startDate, endDate);
+  const rawData = loadAllRawData(rawDir, startDate, endDate);
   
   console.log(`\nLoaded data:`);
   console.log(`  Temperature: ${rawData.temperature.length} records`);
@@ -453,19 +289,27 @@ function aggregateHistoricData(startDate = null, endDate = null) {
   console.log(`  Wind speed: ${rawData.windSpeed.length} records`);
   console.log(`  Wind direction: ${rawData.windDirection.length} records`);
   console.log(`  Visibility: ${rawData.visibility.length} records`);
+  console.log(`  Snow depth: ${rawData.snowDepth.length} records`);
+  console.log(`  Dew point: ${rawData.dewPoint.length} records`);
+  console.log(`  Pressure: ${rawData.pressure.length} records`);
+  console.log(`  Present weather: ${rawData.presentWeather.length} records`);
   
   console.log('\nCombining hourly data...');
   const hourlyData = combineHourlyData(rawData);
   console.log(`  Combined: ${hourlyData.length} hourly records`);
   
   console.log('\nCalculating daily aggregates...');
-  const aggregated = calculateDailyAggregates(hourlyData);
+  console.log(`  Quality policy: ${qualityPolicy}`);
+  console.log(`  Wet bulb: ${wetBulbMethod}`);
+  const aggregated = calculateDailyAggregates(hourlyData, qualityPolicy, station.elevation, wetBulbMethod);
   
   console.log('\nWriting aggregated files...');
-  writeAggregatedFiles(aggregated);
+  writeAggregatedFiles(historicDir, aggregated);
+  updateSeasonCatalog(station, { hourlyCoverage: calculateHourlyCoverage(hourlyData) });
+  updateWindRoses(station, hourlyData, { qualityPolicy, wetBulbMethod });
   
   console.log('\nDone!');
-  console.log(`Created ${Object.keys(aggregated).length} winter season files in ${HISTORIC_DATA_DIR}`);
+  console.log(`Created ${Object.keys(aggregated).length} winter season files in ${historicDir}`);
 }
 
 // Run if called directly
@@ -474,9 +318,19 @@ if (require.main === module) {
   const args = process.argv.slice(2);
   let startDate = null;
   let endDate = null;
+  const station = parseStationArg(args) || getDefaultStation();
+  let qualityPolicy = DEFAULT_QUALITY_POLICY;
   
   for (let i = 0; i < args.length; i++) {
-    if (args[i] === '--start' && args[i + 1]) {
+    if (args[i] === '--quality' && args[i + 1]) {
+      // drop|keep|flag: how values SMHI has not approved (quality Y/R) are used
+      qualityPolicy = args[i + 1];
+      if (!QUALITY_POLICIES.includes(qualityPolicy)) {
+        console.error(`Unknown quality policy: ${qualityPolicy} (known: ${QUALITY_POLICIES.join(', ')})`);
+        process.exit(1);
+      }
+      i++;
+    } else if (args[i] === '--start' && args[i + 1]) {
       startDate = args[i + 1];
       i++;
     } else if (args[i] === '--end' && args[i + 1]) {
@@ -484,9 +338,16 @@ if (require.main === module) {
       i++;
     }
   }
+
+  // Optional --wet-bulb=<method> picks the wet bulb (see WET_BULB_METHODS in snowfall.js)
+  const wetBulbMethod = getArgValue(args, '--wet-bulb') || DEFAULT_WET_BULB_METHOD;
+  if (!WET_BULB_METHODS[wetBulbMethod]) {
+    console.error(`Unknown wet-bulb method: ${wetBulbMethod} (known: ${Object.keys(WET_BULB_METHODS).join(', ')})`);
+    process.exit(1);
+  }
   
-  aggregateHistoricData(startDate, endDate);
+  aggregateHistoricData(station, startDate, endDate, qualityPolicy, wetBulbMethod);
 }
 
-module.exports = { aggregateHistoricData };
+module.exports = { aggregateHistoricData, calculateDailyAggregates, writeAggregatedFiles };
 
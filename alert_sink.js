@@ -0,0 +1,163 @@
+const http = require('http');
+const net = require('net');
+
+/**
+ * Local sink for alerts, for developing and testing alerts.js without real webhooks or mail servers.
+ *
+ * Accepts webhook posts on any HTTP path and mail over plain SMTP (no TLS, any login accepted),
+ * and prints what arrives.
+ *
+ * Usage:
+ *   node alert_sink.js [--http-port=8091] [--smtp-port=2525]
+ *   ALERT_WEBHOOK_URLS=http://localhost:8091/hook ALERT_SMTP_URL=smtp://localhost:2525 \
+ *     ALERT_EMAIL_TO=me@example.com node alerts.js --station=klovsjo
+ */
+
+const DEFAULT_HTTP_PORT = 8091;
+const DEFAULT_SMTP_PORT = 2525;
+
+/**
+ * Decode a received email: subject and base64 or plain body
+ * @param {string} data - Message as sent after DATA (dot-stuffing removed)
+ * @returns {{ subject: string, body: string }}
+ */
+function parseEmail(data) {
+  const [head, ...rest] = data.split(/\r?\n\r?\n/);
+  const headers = Object.fromEntries(head.split(/\r?\n/).map(line => {
+    const index = line.indexOf(':');
+    return [line.slice(0, index).trim().toLowerCase(), line.slice(index + 1).trim()];
+  }));
+  const body = rest.join('\n\n');
+
+  return {
+    subject: (headers.subject || '').replace(/=\?UTF-8\?B\?([^?]*)\?=/gi,
+      (match, encoded) => Buffer.from(encoded, 'base64').toString('utf-8')),
+    body: /base64/i.test(headers['content-transfer-encoding'] || '')
+      ? Buffer.from(body.replace(/\s/g, ''), 'base64').toString('utf-8')
+      : body
+  };
+}
+
+/**
+ * Print a received alert
+ */
+function logMessage(message) {
+  if (message.channel === 'webhook') {
+    console.log(`Webhook ${message.path}: ${JSON.stringify(message.payload)}`);
+  } else {
+    console.log(`Email from ${message.from} to ${message.to.join(', ')}: ${message.subject}\n  ${message.body}`);
+  }
+}
+
+/**
+ * Handle one SMTP connection
+ */
+function handleSmtpConnection(socket, onMessage) {
+  let buffer = '';
+  let envelope = { from: null, to: [] };
+  let dataLines = null;
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+  reply('220 localhost isitfluffy alert sink');
+
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf-8');
+    let end;
+    while ((end = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, end).replace(/\r$/, '');
+      buffer = buffer.slice(end + 1);
+
+      if (dataLines) {
+        if (line === '.') {
+          onMessage({ channel: 'smtp', ...envelope, ...parseEmail(dataLines.join('\r\n')) });
+          envelope = { from: null, to: [] };
+          dataLines = null;
+          reply('250 OK');
+        } else {
+          dataLines.push(line.startsWith('..') ? line.slice(1) : line);
+        }
+        continue;
+      }
+
+      const verb = line.split(' ')[0].toUpperCase();
+      if (verb === 'EHLO') {
+        reply('250-localhost');
+        reply('250 AUTH PLAIN');
+      } else if (verb === 'HELO' || verb === 'NOOP' || verb === 'RSET') {
+        reply('250 OK');
+      } else if (verb === 'AUTH') {
+        reply('235 Authentication successful');
+      } else if (verb === 'MAIL') {
+        envelope.from = line.match(/<([^>]*)>/)?.[1] ?? null;
+        reply('250 OK');
+      } else if (verb === 'RCPT') {
+        envelope.to.push(line.match(/<([^>]*)>/)?.[1]);
+        reply('250 OK');
+      } else if (verb === 'DATA') {
+        dataLines = [];
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (verb === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+      } else {
+        reply('502 Command not implemented');
+      }
+    }
+  });
+  socket.on('error', (error) => console.error('SMTP connection error:', error.message));
+}
+
+/**
+ * Start the HTTP and SMTP sink
+ * @param {Object} options
+ * @param {number} options.httpPort - Port for webhook posts
+ * @param {number} options.smtpPort - Port for SMTP
+ * @param {function(Object)} options.onMessage - Called with every received alert
+ * @returns {{ httpServer: http.Server, smtpServer: net.Server, close: function(): Promise<void> }}
+ */
+function startAlertSink({ httpPort = DEFAULT_HTTP_PORT, smtpPort = DEFAULT_SMTP_PORT, onMessage = logMessage } = {}) {
+  const httpServer = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end('invalid_payload');
+        return;
+      }
+      onMessage({ channel: 'webhook', path: req.url, payload });
+      // Slack answers "ok"
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('ok');
+    });
+  });
+  const smtpServer = net.createServer(socket => handleSmtpConnection(socket, onMessage));
+
+  httpServer.listen(httpPort, () => console.log(`Alert sink: webhooks on http://localhost:${httpPort}`));
+  smtpServer.listen(smtpPort, () => console.log(`Alert sink: SMTP on smtp://localhost:${smtpPort}`));
+
+  return {
+    httpServer,
+    smtpServer,
+    close: () => Promise.all([
+      new Promise(resolve => httpServer.close(resolve)),
+      new Promise(resolve => smtpServer.close(resolve))
+    ]).then(() => {})
+  };
+}
+
+// Run if executed directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const httpPort = parseInt(args.find(arg => arg.startsWith('--http-port='))?.split('=')[1], 10) || DEFAULT_HTTP_PORT;
+  const smtpPort = parseInt(args.find(arg => arg.startsWith('--smtp-port='))?.split('=')[1], 10) || DEFAULT_SMTP_PORT;
+  startAlertSink({ httpPort, smtpPort });
+}
+
+module.exports = {
+  parseEmail,
+  startAlertSink
+};
@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+const { STATIONS, getStationDataDir, parseStationArg } = require('./stations.js');
+const { getMetDayKey } = require('./daily_aggregation.js');
+const { readAggregatedRows } = require('./fetch_data.js');
+const { getDestinations, hasDestinations, deliverAlert } = require('./notify.js');
+
+/**
+ * Powder alerts.
+ *
+ * Checks the rules in alert_rules.json against the daily totals in aggregated_data.csv and sends
+ * the matches to the destinations configured in the environment (see notify.js). A rule looks at
+ * one of two windows:
+ * - day: the snowfall of a met-day (from 08:00), e.g. "≥10 cm with SLR ≥15 since 08:00"
+ * - storm: consecutive met-days with at least STORM_DAY_MIN_CM of snow, e.g. "first 20 cm storm of the season"
+ * Rule fields: id, name, window, minCm, and optionally minSlr, maxRainMm, firstOfSeason (only the
+ * first day/storm of the season that matches) and stations (station keys, default all).
+ *
+ * Only days and storms that end in the last LOOKBACK_DAYS met-days before now (not before the newest
+ * data, so a stale day isn't alerted as new) are alerted on, and every (rule, day/storm) is only sent once:
+ * sent alerts are recorded in data/<station>/alerts_sent.json.
+ * An alert that reached no destination is not recorded, so it is tried again on the next run.
+ * The record only lasts once it is pushed: the workflow runs one at a time and pushes it right after
+ * this script, and if that push fails the next run sends the same alerts again.
+ *
+ * Usage:
+ *   node alerts.js [--station=<key>] [--rules=alert_rules.json] [--dry-run]
+ * --dry-run prints the alerts without sending or recording them.
+ */
+
+const DEFAULT_RULES_FILE = path.join(__dirname, 'alert_rules.json');
+const ALERTS_SENT_FILE = 'alerts_sent.json';
+
+const WINDOWS = ['day', 'storm'];
+// The daily run comes just after 08:00, so the met-day that just ended is checked along with the new one
+const LOOKBACK_DAYS = 2;
+// Snowfall (cm) for a met-day to count as part of a storm
+const STORM_DAY_MIN_CM = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read and check the alert rules
+ * @param {string} file - Rules JSON ({ "rules": [...] })
+ * @returns {Array<Object>}
+ */
+function loadAlertRules(file = DEFAULT_RULES_FILE) {
+  const { rules = [] } = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const ids = new Set();
+
+  rules.forEach(rule => {
+    if (!rule.id || ids.has(rule.id)) {
+      throw new Error(`Alert rule needs a unique id: ${JSON.stringify(rule)}`);
+    }
+    if (!WINDOWS.includes(rule.window)) {
+      throw new Error(`Unknown window in alert rule ${rule.id}: ${rule.window} (known: ${WINDOWS.join(', ')})`);
+    }
+    if (typeof rule.minCm !== 'number') {
+      throw new Error(`Alert rule ${rule.id} needs minCm`);
+    }
+    ids.add(rule.id);
+  });
+  return rules;
+}
+
+/**
+ * Sum daily rows into one snowfall event
+ * SLR is the snow-weighted ratio over the days (total snow / total snow water).
+ * @returns {{ key: string, from: string, to: string, days: number, cm: number, slr: number, rainMm: number }}
+ */
+function summarizeEvent(rows) {
+  let cm = 0;
+  let waterMm = 0;
+  let rainMm = 0;
+  rows.forEach(row => {
+    const snow = parseFloat(row.snow_cm) || 0;
+    const slr = parseFloat(row.slr) || 0;
+    cm += snow;
+    if (slr > 0) waterMm += snow * 10 / slr;
+    rainMm += parseFloat(row.rain_mm) || 0;
+  });
+
+  return {
+    key: rows[0].date,
+    from: rows[0].date,
+    to: rows[rows.length - 1].date,
+    days: rows.length,
+    cm,
+    slr: waterMm > 0 ? cm * 10 / waterMm : 0,
+    rainMm
+  };
+}
+
+/**
+ * Split the season's daily rows into events for a window, in date order
+ * @param {Array<Object>} rows - Aggregated rows in date order
+ * @param {string} window - 'day' or 'storm'
+ */
+function getEvents(rows, window) {
+  if (window === 'day') {
+    return rows.map(row => summarizeEvent([row]));
+  }
+
+  // Storms: runs of consecutive met-days with snow
+  const storms = [];
+  let current = [];
+  rows.forEach(row => {
+    const snowy = (parseFloat(row.snow_cm) || 0) >= STORM_DAY_MIN_CM;
+    const previous = current[current.length - 1];
+    const consecutive = previous && new Date(row.date) - new Date(previous.date) === DAY_MS;
+    if (current.length > 0 && (!snowy || !consecutive)) {
+      storms.push(current);
+      current = [];
+    }
+    if (snowy) current.push(row);
+  });
+  if (current.length > 0) storms.push(current);
+
+  return storms.map(summarizeEvent);
+}
+
+/**
+ * Does an event meet a rule's amounts?
+ */
+function matchesRule(rule, event) {
+  return event.cm >= rule.minCm
+    && (rule.minSlr === undefined || event.slr >= rule.minSlr)
+    && (rule.maxRainMm === undefined || event.rainMm <= rule.maxRainMm);
+}
+
+/**
+ * Write the alert message (Swedish, like the site)
+ */
+function describeAlert(rule, station, event) {
+  const amounts = `${event.cm.toFixed(1)} cm snö (SLR ${Math.round(event.slr)}, ${event.rainMm.toFixed(1)} mm regn)`;
+  const when = rule.window === 'day'
+    ? `dygnet från 08:00 ${event.from}`
+    : `sedan ${event.from} (${event.days} dygn)`;
+
+  return {
+    subject: `❄️ ${station.name}: ${rule.name || rule.id}`,
+    text: `❄️ ${rule.name || rule.id}: ${amounts} i ${station.name} ${when}.`
+  };
+}
+
+/**
+ * Find the rules that match recent days/storms for a station
+ * @param {Array<Object>} rules - From loadAlertRules
+ * @param {Array<Object>} rows - The station's aggregated rows (current season) in date order
+ * @param {Object} station - Station from the registry
+ * @param {Date} now - Time of the check
+ * @returns {Array<Object>} Alerts { rule, event, subject, text }; event is the day or storm start date
+ */
+function evaluateRules(rules, rows, station, now = new Date()) {
+  if (rows.length === 0) return [];
+
+  const today = new Date(getMetDayKey(now));
+  const isRecent = (event) => (today - new Date(event.to)) / DAY_MS < LOOKBACK_DAYS;
+
+  const alerts = [];
+  rules
+    .filter(rule => !rule.stations || rule.stations.includes(station.key))
+    .forEach(rule => {
+      const matching = getEvents(rows, rule.window).filter(event => matchesRule(rule, event));
+      const candidates = rule.firstOfSeason ? matching.slice(0, 1) : matching;
+
+      candidates.filter(isRecent).forEach(event => {
+        alerts.push({ rule: rule.id, event: event.key, ...describeAlert(rule, station, event) });
+      });
+    });
+  return alerts;
+}
+
+/**
+ * Read the alerts already sent for a station
+ * @returns {Array<{rule: string, event: string, sentAt: string}>}
+ */
+function readSentAlerts(station) {
+  const filePath = path.join(__dirname, getStationDataDir(station), ALERTS_SENT_FILE);
+  return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf-8')).sent : [];
+}
+
+/**
+ * Add sent alerts to data/<station>/alerts_sent.json
+ */
+function recordSentAlerts(station, alerts) {
+  const filePath = path.join(__dirname, getStationDataDir(station), ALERTS_SENT_FILE);
+  const sentAt = new Date().toISOString();
+  const sent = [
+    ...readSentAlerts(station),
+    ...alerts.map(alert => ({ rule: alert.rule, event: alert.event, sentAt }))
+  ];
+  fs.writeFileSync(filePath, JSON.stringify({ sent }, null, 2) + '\n');
+}
+
+/**
+ * Check the rules for a station and send the alerts that haven't been sent before
+ * @param {Object} station - Station from the registry
+ * @param {Object} options
+ * @param {Array<Object>} options.rules - From loadAlertRules
+ * @param {Object} options.destinations - From getDestinations
+ * @param {boolean} options.dryRun - Only print the alerts
+ * @returns {Promise<Array<Object>>} The alerts that were sent
+ */
+async function checkAlerts(station, { rules, destinations = getDestinations(), dryRun = false }) {
+  const sent = readSentAlerts(station);
+  const alerts = evaluateRules(rules, readAggregatedRows(station), station)
+    .filter(alert => !sent.some(entry => entry.rule === alert.rule && entry.event === alert.event));
+
+  if (alerts.length === 0) {
+    console.log(`No new alerts for ${station.name}`);
+    return [];
+  }
+
+  alerts.forEach(alert => console.log(`Alert ${alert.rule} (${alert.event}): ${alert.text}`));
+  if (dryRun) {
+    return [];
+  }
+  if (!hasDestinations(destinations)) {
+    console.log('No alert destinations configured (ALERT_WEBHOOK_URLS, ALERT_SMTP_URL + ALERT_EMAIL_TO), nothing sent');
+    return [];
+  }
+
+  const delivered = [];
+  for (const alert of alerts) {
+    if (await deliverAlert(alert, destinations) > 0) {
+      delivered.push(alert);
+    }
+  }
+  if (delivered.length > 0) {
+    recordSentAlerts(station, delivered);
+  }
+  console.log(`Sent ${delivered.length} of ${alerts.length} alerts for ${station.name}`);
+  return delivered;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  // Optional --station=<key> limits the run to one station
+  const station = parseStationArg(args);
+
+  const rulesFile = args.find(arg => arg.startsWith('--rules='))?.split('=')[1] || DEFAULT_RULES_FILE;
+  const dryRun = args.includes('--dry-run');
+
+  (async () => {
+    const rules = loadAlertRules(rulesFile);
+    for (const target of station ? [station] : STATIONS) {
+      await checkAlerts(target, { rules, dryRun });
+    }
+  })().catch(error => {
+    console.error('Error checking alerts:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  loadAlertRules,
+  getEvents,
+  evaluateRules,
+  checkAlerts
+};
@@ -1,8 +1,18 @@
 // SMHI API configuration - loaded from shared file
-// Note: In browser, smhi_api.js must be loaded before app.js
+// Note: In browser, stations.js, smhi_api.js and hourly.js must be loaded before app.js (and custom_alerts.js on the front page)
+
+// Selected station (from ?station=, defaults to Klövsjö) - shared with history.js
+const currentStation = getStationFromURL();
 
 let dailyChartInstance = null;
 let hourlyChartInstance = null;
+let fluffChartInstance = null;
+
+// SLR model shown in the daily chart (key in SLR_MODELS, snowfall.js) - shared with history.js
+let currentSlrModel = DEFAULT_SLR_MODEL;
+
+// Latest point forecast (forecast.json), only shown for the current season
+let currentForecast = null;
 
 // --- [ COLOR LOGIC - KEPT AS IS ] ---
 
@@ -74,6 +84,89 @@ function getSnowColor(slr) {
   return `rgb(${r}, ${g}, ${b})`;
 }
 
+// Forecast bars are drawn translucent
+const FORECAST_ALPHA = 0.4;
+const FORECAST_RAIN_COLOR = 'rgba(220, 53, 69, 0.35)';
+
+/**
+ * Translucent version of an rgb() color from getSnowColor, for forecast bars
+ */
+function getForecastColor(color) {
+  return color.replace('rgb(', 'rgba(').replace(')', `, ${FORECAST_ALPHA})`);
+}
+
+/**
+ * Get snow quality name for SLR, matching the labels under the gradient legend
+ * @param {number} slr - Snow-to-liquid ratio (5-30)
+ * @returns {string}
+ */
+function getSnowQualityLabel(slr) {
+  const labels = ['Slask', 'Blötsnö', 'Kramsnö', 'Nysnö', 'Torrsnö', 'Lätt puder', 'Champagnepuder', 'JAPOW!'];
+  const clampedSlr = Math.max(5, Math.min(30, slr));
+  return labels[Math.round(((clampedSlr - 5) / (30 - 5)) * (labels.length - 1))];
+}
+
+// Compass points and arrows clockwise from north, one per 45°
+const COMPASS_POINTS = ['N', 'NO', 'O', 'SO', 'S', 'SV', 'V', 'NV'];
+const COMPASS_ARROWS = ['↑', '↗', '→', '↘', '↓', '↙', '←', '↖'];
+
+/**
+ * Get the compass sector (0-7) for a direction
+ * @param {number} degrees - Direction in degrees (0 = N)
+ * @returns {number}
+ */
+function getCompassSector(degrees) {
+  return Math.round((((degrees % 360) + 360) % 360) / 45) % 8;
+}
+
+/**
+ * Describe a day's snow drift (drift_index/drift_direction, see wind.js) for the tooltip
+ * The arrow points the way the snow blew: slopes facing away from the wind get loaded, slopes facing it scoured.
+ * @param {number|null} index - Drift index
+ * @param {number|null} direction - Direction the wind came from (degrees)
+ * @returns {string|null} null when there was no noticeable drift
+ */
+function describeDrift(index, direction) {
+  if (index === null || index < 1) return null;
+  const strength = index < 5 ? 'lätt' : index < 20 ? 'måttligt' : 'kraftigt';
+  if (direction === null) {
+    return `💨 Snödrev: ${index.toFixed(1)} (${strength})`;
+  }
+  const from = COMPASS_POINTS[getCompassSector(direction)];
+  const arrow = COMPASS_ARROWS[getCompassSector(direction + 180)];
+  const lee = COMPASS_POINTS[getCompassSector(direction + 180)];
+  return `💨 Snödrev: ${index.toFixed(1)} (${strength}) från ${from} ${arrow} - pålagrat på ${lee}-sidor, avblåst på ${from}-sidor`;
+}
+
+// Surface conditions from surface.js (the surface column), as shown in the day tooltip
+const SURFACE_LABELS = {
+  powder: '❄️ Puder',
+  packed_powder: '⛷️ Packad pudersnö',
+  wind_packed: '💨 Vindpackad snö',
+  crust: '🧊 Skare',
+  ice: '⛸️ Is',
+  spring_slush: '💧 Vårslask'
+};
+
+// Verdicts for the fluffiness score (fluff_score, 0-10), checked from the top
+const FLUFF_VERDICTS = [
+  { minScore: 8, verdict: 'JAPOW!', color: '#4fc3f7' },
+  { minScore: 6, verdict: 'Ja!', color: '#667eea' },
+  { minScore: 4, verdict: 'Lite grann', color: '#764ba2' },
+  { minScore: 2, verdict: 'Inte direkt', color: '#6c757d' },
+  { minScore: 0, verdict: 'Nej', color: '#6c757d' }
+];
+
+/**
+ * Verdict for a fluffiness score
+ * @param {number} score - Score 0-10
+ * @returns {{ verdict: string, color: string }}
+ */
+function getFluffVerdict(score) {
+  const { verdict, color } = FLUFF_VERDICTS.find(entry => score >= entry.minScore);
+  return { verdict, color };
+}
+
 // --- [ DATA FETCHING LOGIC - KEPT AS IS ] ---
 
 function parseCSV(csvText) {
@@ -99,15 +192,17 @@ function parseCSV(csvText) {
 async function fetchDailySnowfall() {
   // ... (Code for fetchDailySnowfall remains the same)
   try {
-    const response = await fetch('data/aggregated_data.csv');
+    const response = await fetch(`${getStationDataDir(currentStation)}/aggregated_data.csv`);
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
     }
     const csvText = await response.text();
     const data = parseCSV(csvText);
 
-    const startDate = new Date('2025-10-01');
-    const endDate = new Date('2026-04-30');
+    // Only show the current season (finished seasons are archived in historic/)
+    const seasonRange = getSeasonDateRange(getCurrentSeasonStartYear());
+    const startDate = new Date(seasonRange.start);
+    const endDate = new Date(seasonRange.end);
 
     return data.filter(row => {
       const date = new Date(row.date);
@@ -119,103 +214,50 @@ async function fetchDailySnowfall() {
   }
 }
 
-async function fetchSMHIDataBrowser(parameter, stationId, period = 'latest-day') {
-  // ... (Code for fetchSMHIDataBrowser remains the same)
+/**
+ * Fetch the latest point forecast for the station (data/<station>/forecast.json, written by forecast.js)
+ * @returns {Promise<Object|null>} null when there is no forecast
+ */
+async function fetchForecast() {
   try {
-    return await fetchSMHIData(parameter, stationId, period);
+    const response = await fetch(`${getStationDataDir(currentStation)}/${FORECAST_FILE}`);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return await response.json();
   } catch (error) {
-    console.error(`Error fetching parameter ${parameter} (station ${stationId}, period ${period}):`, error);
-    throw error;
+    console.warn('No forecast available:', error);
+    return null;
   }
 }
 
-async function fetchLast24Hours() {
-  // ... (Code for fetchLast24Hours remains the same)
-  try {
-    const parameterPromises = Object.entries(PARAMETER_CODES).map(async ([key, code]) => {
-      try {
-        const data = await fetchSMHIDataBrowser(code, STATION_ID, 'latest-day');
-        return { key, data };
-      } catch (error) {
-        console.error(`Failed to fetch ${key} (parameter ${code}):`, error);
-        return { key, data: null };
-      }
+/**
+ * Forecast hours after the latest observed hour, in the same shape as fetchLast24Hours
+ * @param {Object|null} forecast - From fetchForecast
+ * @param {Date} after - Latest observed hour
+ * @param {number} count - Number of forecast hours
+ * @returns {Array<Object>} Hours marked with forecast: true
+ */
+function getForecastHours(forecast, after, count = 24) {
+  if (!forecast) return [];
+
+  return forecast.hours
+    .filter(hour => new Date(hour.timestamp) > after)
+    .slice(0, count)
+    .map(hour => {
+      // Rain hours are negative, as in fetchLast24Hours
+      const isRain = !(hour.snow_cm > 0) && hour.rain_mm > 0;
+      return {
+        timestamp: new Date(hour.timestamp),
+        temperature: hour.temperature,
+        precipitation: hour.precipitation,
+        snowfall: isRain ? -hour.rain_mm : hour.snow_cm,
+        slr: isRain ? -1 : hour.slr,
+        rainMm: hour.rain_mm,
+        trace: [],
+        forecast: true
+      };
     });
-
-    const results = await Promise.all(parameterPromises);
-
-    const dataByTime = {};
-    let latestHourWithData = null;
-
-    for (const { key, data } of results) {
-      if (data && data.value && Array.isArray(data.value)) {
-        for (const entry of data.value) {
-          const parsed = parseSMHIEntry(entry);
-          if (!parsed) {
-            continue;
-          }
-
-          const hourTimestamp = new Date(parsed.timestamp);
-          hourTimestamp.setMinutes(0, 0, 0);
-          const timeKey = hourTimestamp.toISOString();
-
-          if (!dataByTime[timeKey]) {
-            dataByTime[timeKey] = { timestamp: hourTimestamp };
-          }
-          dataByTime[timeKey][key] = parsed.value;
-
-          if (key === 'temperature' && (!latestHourWithData || hourTimestamp > latestHourWithData)) {
-            latestHourWithData = hourTimestamp;
-          }
-        }
-      }
-    }
-
-    const endTime = latestHourWithData || new Date();
-    endTime.setMinutes(0, 0, 0);
-
-    const hourlyData = [];
-    const startTime = new Date(endTime);
-    startTime.setHours(startTime.getHours() - 23);
-
-    for (let i = 0; i < 24; i++) {
-      const hourTime = new Date(startTime);
-      hourTime.setHours(startTime.getHours() + i);
-      const timeKey = hourTime.toISOString();
-
-      const data = dataByTime[timeKey];
-      if (data && data.temperature !== undefined) {
-        const precipitation = data.precipitation !== undefined ? data.precipitation : 0;
-        const snowCalc = calculateSnowfall(
-          data.temperature,
-          precipitation,
-          data.wind_speed || 0,
-          data.humidity || 90
-        );
-
-        hourlyData.push({
-          timestamp: hourTime,
-          temperature: data.temperature,
-          precipitation: precipitation,
-          snowfall: snowCalc.amount,
-          slr: snowCalc.slr
-        });
-      } else {
-        hourlyData.push({
-          timestamp: hourTime,
-          temperature: null,
-          precipitation: 0,
-          snowfall: 0,
-          slr: 0
-        });
-      }
-    }
-
-    return hourlyData;
-  } catch (error) {
-    console.error('Error fetching last 24 hours:', error);
-    throw error;
-  }
 }
 
 // --- [ CHART.JS RENDERING LOGIC ] ---
@@ -230,10 +272,25 @@ function destroyChart(instance) {
     }
 }
 
+/**
+ * SLR models that have snowfall in the daily rows
+ * Files written before the models were added only have the default model.
+ * @param {Array<Object>} data - Daily rows
+ * @returns {Array<string>} Keys in SLR_MODELS
+ */
+function getAvailableSlrModels(data) {
+  return Object.keys(SLR_MODELS).filter(model =>
+    model === DEFAULT_SLR_MODEL || (data.length > 0 && data[0][getSnowColumn(model)] !== undefined)
+  );
+}
+
 /**
  * Build shared series for daily and cumulative charts
+ * @param {Array<Object>} data - Daily rows
+ * @param {Array<Object>|null} hourlyData - Last 24 hours, replaces the current met-day
+ * @param {string} model - SLR model to take snowfall and SLR from
  */
-function prepareDailySeries(data, hourlyData = null) {
+function prepareDailySeries(data, hourlyData = null, model = DEFAULT_SLR_MODEL) {
   // Group data by month and find middle index for each month
   const monthGroups = {};
   data.forEach((row, index) => {
@@ -255,22 +312,40 @@ function prepareDailySeries(data, hourlyData = null) {
   });
 
   const fullDates = data.map(row => row.date); // Keep for tooltips
-  let snowfall = data.map(row => parseFloat(row.snowfall_cm) || 0);
-  let slrValues = data.map(row => parseFloat(row.slr) || 0);
-
-  // Identify rain days from CSV: days where snowfall_cm is negative (actual precipitation amount)
-  const rainDays = new Set();
+  // Older historic files only have snowfall_cm, where -1 marks a rain day
+  const snowColumn = getSnowColumn(model);
+  const slrColumn = model === DEFAULT_SLR_MODEL ? 'slr' : `slr_${model}`;
+  const snow = data.map(row => row[snowColumn] !== undefined
+    ? parseFloat(row[snowColumn]) || 0
+    : Math.max(parseFloat(row.snowfall_cm) || 0, 0));
+  const rain = data.map(row => parseFloat(row.rain_mm) || 0);
+  const slrValues = data.map(row => Math.max(parseFloat(row[slrColumn]) || 0, 0));
+  // Hours with values SMHI has not approved (quality Y/R), see daily_aggregation.js
+  const suspectHours = data.map(row => parseInt(row.suspect_hours, 10) || 0);
+  // Snow depth measured by SMHI (only some stations), null on days without a reading
+  const snowDepth = data.map(row => row.snow_depth_cm ? parseFloat(row.snow_depth_cm) : null);
+  // Modeled snowpack (settlement, melt, rain-on-snow), see snowpack.js
+  const snowpack = data.map(row => row.snowpack_cm ? parseFloat(row.snowpack_cm) : null);
+  // Snow drift from wind after new snow, see wind.js
+  const driftIndex = data.map(row => row.drift_index ? parseFloat(row.drift_index) : null);
+  const driftDirection = data.map(row => row.drift_direction ? parseFloat(row.drift_direction) : null);
+  // Surface at midday, classified from the weather sequence, see surface.js
+  const surface = data.map(row => row.surface || null);
+  // Fluffiness score 0-10 at midday, see fluffiness.js
+  const fluffScore = data.map(row => row.fluff_score ? parseFloat(row.fluff_score) : null);
+
+  // Rain days from older files, where the amount of rain is unknown
+  const unknownRainDays = new Set();
   data.forEach((row, index) => {
-    const snowfallVal = parseFloat(row.snowfall_cm);
-    if (snowfallVal < 0) {
-      rainDays.add(index);
+    if (row.snow_cm === undefined && parseFloat(row.snowfall_cm) < 0) {
+      unknownRainDays.add(index);
     }
   });
 
   // Replace or ADD current meteorological day's value with calculated value from hourly data
   if (hourlyData && hourlyData.length > 0) {
     try {
-      const todayValue = calculateTodayFromHourly(hourlyData);
+      const todayValue = calculateTodayFromHourly(hourlyData, model);
       if (todayValue) {
         // Determine which meteorological day we're in (same logic as calculateTodayFromHourly)
         // SMHI timestamp = end of period, so we need to check the latest data point
@@ -305,29 +380,29 @@ function prepareDailySeries(data, hourlyData = null) {
         
         if (todayIndex !== -1) {
           // Replace today's values
-          snowfall[todayIndex] = todayValue.snowfall;
+          snow[todayIndex] = todayValue.snow;
+          rain[todayIndex] = todayValue.rain;
           slrValues[todayIndex] = todayValue.slr;
+          unknownRainDays.delete(todayIndex);
           
-          // If today has rain, mark it (snowfall < 0 or slr === -1)
-          if (todayValue.snowfall < 0) {
-            rainDays.add(todayIndex);
-          }
-          
-          console.log(`Updated met day ${currentMetDayCET}: ${todayValue.snowfall.toFixed(1)} cm, SLR: ${todayValue.slr.toFixed(1)}`);
+          console.log(`Updated met day ${currentMetDayCET}: ${todayValue.snow.toFixed(1)} cm snow, ${todayValue.rain.toFixed(1)} mm rain, SLR: ${todayValue.slr.toFixed(1)}`);
         } else {
           // Current met day not in CSV yet - ADD it as a new entry
-          console.log(`Adding met day ${currentMetDayCET} to daily data: ${todayValue.snowfall.toFixed(1)} cm, SLR: ${todayValue.slr.toFixed(1)}`);
+          console.log(`Adding met day ${currentMetDayCET} to daily data: ${todayValue.snow.toFixed(1)} cm snow, ${todayValue.rain.toFixed(1)} mm rain, SLR: ${todayValue.slr.toFixed(1)}`);
           
           // Add today's date to labels (use empty string to match pattern - month label added separately)
           labels.push('');
           fullDates.push(currentMetDayCET);
-          snowfall.push(todayValue.snowfall);
+          snow.push(todayValue.snow);
+          rain.push(todayValue.rain);
           slrValues.push(todayValue.slr);
-          
-          // Mark as rain day if applicable
-          if (todayValue.snowfall < 0) {
-            rainDays.add(snowfall.length - 1);
-          }
+          suspectHours.push(0);
+          snowDepth.push(null);
+          snowpack.push(null);
+          driftIndex.push(null);
+          driftDirection.push(null);
+          surface.push(null);
+          fluffScore.push(null);
         }
       } else {
         console.warn('No hourly data found for current meteorological day');
@@ -339,22 +414,69 @@ function prepareDailySeries(data, hourlyData = null) {
     console.warn('Hourly data not available for today calculation');
   }
 
-  // Build cumulative snowfall (ignore rain/negative values)
+  // Build cumulative snowfall (rain is kept separately and never adds to it)
   const cumulative = [];
   let runningTotal = 0;
-  snowfall.forEach((val) => {
-    const safeVal = val > 0 ? val : 0;
-    runningTotal += safeVal;
+  snow.forEach((val) => {
+    runningTotal += val > 0 ? val : 0;
     cumulative.push(Number(runningTotal.toFixed(1)));
   });
 
   return {
     labels,
     fullDates,
-    snowfall,
+    snow,
+    rain,
     slrValues,
-    rainDays,
-    cumulative
+    unknownRainDays,
+    suspectHours,
+    snowDepth,
+    snowpack,
+    driftIndex,
+    driftDirection,
+    surface,
+    fluffScore,
+    cumulative,
+    forecastDays: new Set()
+  };
+}
+
+/**
+ * Continue a daily series with the forecast met-days after its last day
+ * @param {Object} series - From prepareDailySeries (current season)
+ * @param {Object|null} forecast - From fetchForecast
+ * @param {string} model - SLR model (key in SLR_MODELS)
+ * @returns {Object} New series, with the indices of the forecast days in forecastDays
+ */
+function appendForecastDays(series, forecast, model = DEFAULT_SLR_MODEL) {
+  if (!forecast) return series;
+
+  const lastDate = series.fullDates[series.fullDates.length - 1];
+  const days = forecast.days.filter(day => !lastDate || day.date > lastDate);
+  if (days.length === 0) return series;
+
+  const snowColumn = getSnowColumn(model);
+  const slrColumn = model === DEFAULT_SLR_MODEL ? 'slr' : `slr_${model}`;
+  const empty = days.map(() => null);
+  const firstIndex = series.fullDates.length;
+
+  return {
+    ...series,
+    labels: [...series.labels, 'Prognos', ...empty.slice(1).map(() => '')],
+    fullDates: [...series.fullDates, ...days.map(day => day.date)],
+    snow: [...series.snow, ...days.map(day => parseFloat(day[snowColumn]) || 0)],
+    rain: [...series.rain, ...days.map(day => parseFloat(day.rain_mm) || 0)],
+    slrValues: [...series.slrValues, ...days.map(day => Math.max(parseFloat(day[slrColumn]) || 0, 0))],
+    suspectHours: [...series.suspectHours, ...days.map(() => 0)],
+    snowDepth: [...series.snowDepth, ...empty],
+    snowpack: [...series.snowpack, ...empty],
+    driftIndex: [...series.driftIndex, ...empty],
+    driftDirection: [...series.driftDirection, ...empty],
+    surface: [...series.surface, ...empty],
+    fluffScore: [...series.fluffScore, ...empty],
+    // The cumulative line only counts snow that has fallen
+    cumulative: [...series.cumulative, ...empty],
+    forecastDays: new Set(days.map((day, index) => firstIndex + index))
   };
 }
 
@@ -404,8 +526,11 @@ function getHourInCET(date) {
  * - Timestamp 08:00 belongs to the PREVIOUS day (period 07-08 ended at 08:00)
  * 
  * This uses "ski day" logic: a day's snowfall is what fell since the most recent 08:00.
+ * @param {Array<Object>} hourlyData - Hours from fetchLast24Hours
+ * @param {string} model - SLR model to take snowfall and SLR from
+ * @returns {Object|null} { snow (cm), rain (mm), slr }
  */
-function calculateTodayFromHourly(hourlyData) {
+function calculateTodayFromHourly(hourlyData, model = DEFAULT_SLR_MODEL) {
   if (!hourlyData || hourlyData.length === 0) {
     return null;
   }
@@ -498,29 +623,27 @@ function calculateTodayFromHourly(hourlyData) {
     return null;
   }
   
-  // Check if it rained (any hour with negative amount or slr === -1)
-  const hasRain = relevantHours.some(hour => hour.snowfall < 0);
-  
-  // If it rained, return -1, -1
-  if (hasRain) {
-    return { snowfall: -1, slr: -1 };
-  }
+  // The rain part of each hour adds to rain, same as daily_aggregation.js
+  const totalRain = relevantHours.reduce((sum, hour) => sum + (hour.rainMm || 0), 0);
   
-  // Sum snowfall amounts (filter out -1 values)
-  const totalSnowfall = relevantHours.reduce((sum, hour) => {
+  // Snowfall and SLR from the selected model (hours without data only have the default values)
+  const modelHours = relevantHours.map(hour => hour.models?.[model] || { snowfall: hour.snowfall, slr: hour.slr });
+
+  // Sum snowfall amounts (rain hours have negative amounts)
+  const totalSnowfall = modelHours.reduce((sum, hour) => {
     const amount = hour.snowfall || 0;
-    return amount >= 0 ? sum + amount : sum;
+    return amount > 0 ? sum + amount : sum;
   }, 0);
   
   // Average SLR (only for hours with snowfall > 0)
-  const hoursWithSnow = relevantHours.filter(hour => hour.snowfall > 0);
+  const hoursWithSnow = modelHours.filter(hour => hour.snowfall > 0);
   if (hoursWithSnow.length === 0) {
-    return { snowfall: totalSnowfall, slr: 0 };
+    return { snow: totalSnowfall, rain: totalRain, slr: 0 };
   }
   
   const avgSlr = hoursWithSnow.reduce((sum, hour) => sum + (hour.slr || 0), 0) / hoursWithSnow.length;
   
-  return { snowfall: totalSnowfall, slr: avgSlr };
+  return { snow: totalSnowfall, rain: totalRain, slr: avgSlr };
 }
 
 /**
@@ -531,18 +654,17 @@ function calculateTodayFromHourly(hourlyData) {
 function updatePageTitle(historicYear = null, fullDates = null) {
   let titleText;
   if (historicYear) {
-    titleText = `Snö i Klövsjö vintern ${historicYear}-${historicYear + 1}`;
+    titleText = `Snö i ${currentStation.name} vintern ${historicYear}-${historicYear + 1}`;
   } else {
     // Current season - determine from dates or current date
     let startYear;
     if (fullDates && fullDates.length > 0) {
       const firstDate = new Date(fullDates[0]);
-      startYear = firstDate.getMonth() >= 6 ? firstDate.getFullYear() : firstDate.getFullYear() - 1;
+      startYear = getSeasonStartYear(firstDate);
     } else {
-      const now = new Date();
-      startYear = now.getMonth() >= 6 ? now.getFullYear() : now.getFullYear() - 1;
+      startYear = getCurrentSeasonStartYear();
     }
-    titleText = `Snö i Klövsjö vintern ${startYear}-${startYear + 1}`;
+    titleText = `Snö i ${currentStation.name} vintern ${startYear}-${startYear + 1}`;
   }
   document.title = titleText;
 }
@@ -567,17 +689,17 @@ function updateSubtitle(series, historicYear = null) {
     // Current season - determine from first date
     if (fullDates && fullDates.length > 0) {
       const firstDate = new Date(fullDates[0]);
-      const startYear = firstDate.getMonth() >= 6 ? firstDate.getFullYear() : firstDate.getFullYear() - 1;
+      const startYear = getSeasonStartYear(firstDate);
       seasonText = `Säsongen ${startYear}-${startYear + 1}`;
     } else {
-      const now = new Date();
-      const startYear = now.getMonth() >= 6 ? now.getFullYear() : now.getFullYear() - 1;
+      const startYear = getCurrentSeasonStartYear();
       seasonText = `Säsongen ${startYear}-${startYear + 1}`;
     }
   }
 
   // Format text based on whether it's historic or current
-  const snowText = `${Math.round(totalSnow)} cm`;
+  const modelText = currentSlrModel !== DEFAULT_SLR_MODEL ? ` (${SLR_MODELS[currentSlrModel].label})` : '';
+  const snowText = `${Math.round(totalSnow)} cm${modelText}`;
   if (historicYear) {
     subtitleEl.textContent = `${seasonText}: ${snowText} snö`;
   } else {
@@ -586,43 +708,376 @@ function updateSubtitle(series, historicYear = null) {
 }
 
 /**
- * Render daily snowfall chart using Chart.js
+ * Show the "conditions now" panel for the latest hour with data (see conditions.js)
+ * @param {Array<Object>} hourlyData - Last 24 hours from fetchLast24Hours
  */
-function renderDailyChart(series) {
-  destroyChart(dailyChartInstance);
+function renderConditionsPanel(hourlyData) {
+  const panel = document.getElementById('conditionsPanel');
+  if (!panel) return;
 
-  const ctx = document.getElementById('dailyChart').getContext('2d');
+  const latestHour = [...hourlyData].reverse().find(hour => hour.temperature !== null);
+  if (!latestHour) {
+    panel.hidden = true;
+    return;
+  }
 
-  const { labels, fullDates, snowfall, slrValues, rainDays, cumulative } = series;
+  const conditions = assessConditions(latestHour);
+  const time = new Date(conditions.timestamp).toLocaleTimeString('sv-SE', {
+    timeZone: 'Europe/Stockholm',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
 
-  // Create display data: rain as positive values (upward bars), snow as is
-  const displayData = snowfall.map((val, index) => {
-    if (rainDays.has(index)) {
-      return Math.abs(val); // Show rain as positive value (upward bar)
+  const visibilityText = conditions.visibility !== null
+    ? `Sikt ${conditions.visibility >= 1000 ? `${(conditions.visibility / 1000).toFixed(1)} km` : `${Math.round(conditions.visibility)} m`}`
+    : 'Stationen mäter inte sikt';
+  const windText = conditions.windSpeed !== null ? `${conditions.windSpeed.toFixed(1)} m/s` : 'vind saknas';
+  const precipitationText = conditions.precipitationType
+    ? `${latestHour.precipitation.toFixed(1)} mm senaste timmen`
+    : 'Ingen nederbörd senaste timmen';
+
+  document.getElementById('conditionsTitle').textContent = `Just nu (kl ${time})`;
+  document.getElementById('conditionsVerdict').textContent = conditions.verdict;
+  document.getElementById('conditionsGrid').innerHTML = `
+    <div class="condition-item">
+      <div class="condition-label">Platt ljus</div>
+      <div class="condition-value">${conditions.flatLight ? conditions.flatLight.label : 'Okänt'}</div>
+      <div class="condition-detail">${visibilityText}</div>
+    </div>
+    <div class="condition-item">
+      <div class="condition-label">Känns som</div>
+      <div class="condition-value">${Math.round(conditions.windChill)}°C</div>
+      <div class="condition-detail">${conditions.temperature.toFixed(1)}°C, ${windText}. ${conditions.windChillLabel}</div>
+    </div>
+    <div class="condition-item">
+      <div class="condition-label">Nederbörd</div>
+      <div class="condition-value">${conditions.precipitationLabel.charAt(0).toUpperCase()}${conditions.precipitationLabel.slice(1)}</div>
+      <div class="condition-detail">${precipitationText}</div>
+    </div>
+  `;
+  panel.hidden = false;
+}
+
+/**
+ * Show the "Is it fluffy?" verdict for the latest scored day and plot the score over the season
+ * Today's score comes from the daily pipeline, so the verdict may be for yesterday until it has run.
+ * @param {Object} series - From prepareDailySeries
+ */
+function renderFluffPanel(series) {
+  const panel = document.getElementById('fluffPanel');
+  if (!panel) return;
+
+  const { fullDates, fluffScore } = series;
+  const latestIndex = fluffScore.findLastIndex(score => score !== null);
+  if (latestIndex === -1) {
+    panel.hidden = true;
+    return;
+  }
+
+  const score = fluffScore[latestIndex];
+  const { verdict, color } = getFluffVerdict(score);
+  const verdictEl = document.getElementById('fluffVerdict');
+  verdictEl.textContent = verdict;
+  verdictEl.style.color = color;
+  const date = new Date(fullDates[latestIndex]).toLocaleDateString('sv-SE', { day: 'numeric', month: 'short' });
+  document.getElementById('fluffScore').textContent = `${score.toFixed(1)} av 10 (${date} mitt på dagen)`;
+  panel.hidden = false;
+
+  destroyChart(fluffChartInstance);
+  const ctx = document.getElementById('fluffChart').getContext('2d');
+  fluffChartInstance = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels: series.labels,
+      datasets: [{
+        label: 'Fluffpoäng',
+        data: fluffScore,
+        borderColor: 'rgba(102, 126, 234, 0.9)',
+        backgroundColor: 'rgba(102, 126, 234, 0.15)',
+        tension: 0.2,
+        pointRadius: 0,
+        borderWidth: 2,
+        fill: true
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: {
+          display: false
+        },
+        tooltip: {
+          mode: 'index',
+          intersect: false,
+          callbacks: {
+            title: (context) => fullDates[context[0].dataIndex],
+            label: (context) => `${getFluffVerdict(context.parsed.y).verdict} ${context.parsed.y.toFixed(1)}/10`
+          }
+        }
+      },
+      scales: {
+        y: {
+          min: 0,
+          max: 10,
+          ticks: {
+            stepSize: 5
+          }
+        },
+        x: {
+          ticks: {
+            maxRotation: 0,
+            minRotation: 0,
+            autoSkip: false
+          },
+          grid: {
+            display: false
+          }
+        }
+      }
     }
-    return val;
   });
+}
 
-  // Colors: red for rain, snow color for positive values
-  const colors = snowfall.map((val, index) => {
-    if (rainDays.has(index)) {
-      return 'rgba(220, 53, 69, 0.8)'; // Red for rain
+/**
+ * Read the personal alert rules saved in this browser
+ * @returns {Array<Object>} Rules, see custom_alerts.js
+ */
+function loadCustomRules() {
+  try {
+    return JSON.parse(localStorage.getItem(CUSTOM_ALERTS_STORAGE_KEY)) || [];
+  } catch (error) {
+    console.error('Error reading alert rules:', error);
+    return [];
+  }
+}
+
+/**
+ * Send a message to the alert service worker (sw.js) once it is active
+ */
+async function postToAlertWorker(message) {
+  const registration = await navigator.serviceWorker.ready;
+  registration.active?.postMessage(message);
+}
+
+/**
+ * Save the rules in localStorage and hand them to the service worker
+ */
+function saveCustomRules(rules) {
+  localStorage.setItem(CUSTOM_ALERTS_STORAGE_KEY, JSON.stringify(rules));
+  postToAlertWorker({ type: 'rules', rules });
+}
+
+/**
+ * List the saved rules with a remove button each
+ */
+function renderCustomRules(rules) {
+  const list = document.getElementById('alertList');
+  list.innerHTML = '';
+  rules.forEach(rule => {
+    const item = document.createElement('li');
+    item.textContent = `${getStation(rule.station)?.name || rule.station}: ${describeCustomRule(rule)}`;
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'alerts-remove';
+    remove.textContent = 'Ta bort';
+    remove.setAttribute('aria-label', `Ta bort larmet ${item.textContent}`);
+    remove.onclick = () => {
+      const remaining = loadCustomRules().filter(saved => saved.id !== rule.id);
+      saveCustomRules(remaining);
+      renderCustomRules(remaining);
+    };
+
+    item.appendChild(remove);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Personal alerts: rules saved in this browser, checked by the service worker (sw.js)
+ * in the background with Periodic Background Sync where the browser allows it, and
+ * every CUSTOM_ALERTS_CHECK_INTERVAL_MS while the page is open.
+ * The panel stays hidden without service worker or notification support.
+ */
+async function initAlertPanel() {
+  const panel = document.getElementById('alertsPanel');
+  if (!panel || !('serviceWorker' in navigator) || !('Notification' in window)) return;
+
+  const status = document.getElementById('alertStatus');
+  let registration;
+  try {
+    registration = await navigator.serviceWorker.register('sw.js');
+  } catch (error) {
+    console.error('Error registering service worker:', error);
+    return;
+  }
+  panel.hidden = false;
+
+  const stationSelect = document.getElementById('alertStation');
+  STATIONS.forEach(station => stationSelect.add(new Option(station.name, station.key)));
+  stationSelect.value = currentStation.key;
+
+  // The worker may have been replaced since the rules were saved
+  const rules = loadCustomRules();
+  postToAlertWorker({ type: 'rules', rules });
+  renderCustomRules(rules);
+
+  let background = false;
+  try {
+    if (registration.periodicSync) {
+      await registration.periodicSync.register(CUSTOM_ALERTS_SYNC_TAG, { minInterval: CUSTOM_ALERTS_CHECK_INTERVAL_MS });
+      background = true;
     }
-    return getSnowColor(slrValues[index]);
+  } catch (error) {
+    // Chromium only allows it once the site is installed (manifest.webmanifest); the page timer below still works
+    console.log('Periodic background sync not available:', error.message);
+  }
+  const describeStatus = () => {
+    if (Notification.permission === 'denied') return 'Notiser är blockerade för sidan i webbläsaren.';
+    if (background) return 'Larmen kollas i bakgrunden, även när sidan är stängd.';
+    return window.matchMedia('(display-mode: standalone)').matches
+      ? 'Larmen kollas var 30:e minut medan sidan är öppen.'
+      : 'Larmen kollas var 30:e minut medan sidan är öppen. Installera sidan för att få larm när den är stängd.';
+  };
+  status.textContent = describeStatus();
+
+  setInterval(() => {
+    if (loadCustomRules().length > 0) postToAlertWorker({ type: 'check' });
+  }, CUSTOM_ALERTS_CHECK_INTERVAL_MS);
+
+  document.getElementById('alertForm').onsubmit = async (event) => {
+    event.preventDefault();
+    if (await Notification.requestPermission() !== 'granted') {
+      status.textContent = describeStatus();
+      return;
+    }
+
+    const rule = {
+      id: Date.now().toString(36),
+      station: stationSelect.value,
+      minCm: parseFloat(document.getElementById('alertMinCm').value),
+      minSlr: parseFloat(document.getElementById('alertMinSlr').value) || null,
+      noRain: document.getElementById('alertNoRain').checked
+    };
+    const updated = [...loadCustomRules(), rule];
+    saveCustomRules(updated);
+    renderCustomRules(updated);
+    status.textContent = describeStatus();
+    postToAlertWorker({ type: 'check' });
+  };
+}
+
+/**
+ * Fill the SLR model selector and show the season total for every model
+ * Changing model redraws the daily chart and subtitle with that model's snowfall.
+ * The selector stays hidden for files that only have the default model; a historic season
+ * says so in place of the totals.
+ * @param {Array<Object>} data - Daily rows
+ * @param {Array<Object>|null} hourlyData - Last 24 hours (current season only)
+ * @param {number|null} historicYear - If set, this is a historic season (start year)
+ */
+function initSlrModelSelector(data, hourlyData = null, historicYear = null) {
+  const select = document.getElementById('slrModelSelect');
+  const totalsEl = document.getElementById('modelTotals');
+  if (!select) return;
+
+  const models = getAvailableSlrModels(data);
+  if (!models.includes(currentSlrModel)) {
+    currentSlrModel = DEFAULT_SLR_MODEL;
+  }
+
+  const hasAlternatives = models.length > 1;
+  select.hidden = !hasAlternatives;
+  if (!hasAlternatives) {
+    // Archived seasons in the old format were computed before the SLR models existed
+    if (totalsEl) {
+      totalsEl.hidden = !historicYear;
+      totalsEl.textContent = historicYear
+        ? `Bara SLR-modellen ${SLR_MODELS[DEFAULT_SLR_MODEL].label} finns för den här säsongen.`
+        : '';
+    }
+    return;
+  }
+  if (totalsEl) totalsEl.hidden = false;
+
+  select.innerHTML = '';
+  models.forEach(model => {
+    const option = document.createElement('option');
+    option.value = model;
+    option.textContent = SLR_MODELS[model].label;
+    option.selected = model === currentSlrModel;
+    select.appendChild(option);
   });
 
+  if (totalsEl) {
+    totalsEl.textContent = models.map(model => {
+      const { cumulative } = prepareDailySeries(data, hourlyData, model);
+      return `${SLR_MODELS[model].label}: ${Math.round(cumulative[cumulative.length - 1] || 0)} cm`;
+    }).join(' · ');
+  }
+
+  select.onchange = () => {
+    currentSlrModel = select.value;
+    const series = prepareDailySeries(data, hourlyData, currentSlrModel);
+    renderDailyChart(historicYear ? series : appendForecastDays(series, currentForecast, currentSlrModel));
+    updateSubtitle(series, historicYear);
+  };
+}
+
+/**
+ * Render daily snowfall chart using Chart.js
+ */
+function renderDailyChart(series) {
+  destroyChart(dailyChartInstance);
+
+  const ctx = document.getElementById('dailyChart').getContext('2d');
+
+  const {
+    labels, fullDates, snow, rain, slrValues, unknownRainDays, suspectHours, snowDepth, snowpack,
+    driftIndex, driftDirection, surface, fluffScore, cumulative, forecastDays
+  } = series;
+  const hasMeasuredDepth = snowDepth.some(depth => depth !== null);
+  const hasSnowpack = snowpack.some(depth => depth !== null);
+
+  // Older files only tell that it rained, not how much - show a small bar
+  const rainData = rain.map((val, index) => unknownRainDays.has(index) ? 1 : val);
+
+  // Snow colored by SLR, orange border on days with unapproved SMHI values
+  // Forecast days (see appendForecastDays) are translucent
+  const snowColors = snow.map((val, index) => forecastDays.has(index)
+    ? getForecastColor(getSnowColor(slrValues[index]))
+    : getSnowColor(slrValues[index]));
+  const rainColors = rain.map((val, index) => forecastDays.has(index) ? FORECAST_RAIN_COLOR : 'rgba(220, 53, 69, 0.8)');
+  const borderColors = snowColors.map((color, index) =>
+    suspectHours[index] > 0 ? 'rgba(255, 152, 0, 1)' : color
+  );
+  const borderWidths = suspectHours.map(hours => hours > 0 ? 2 : 1);
+
   dailyChartInstance = new Chart(ctx, {
     type: 'bar',
     data: {
       labels: labels,
       datasets: [
         {
-          label: 'Snöfall / Regn',
-          data: displayData,
-          backgroundColor: colors,
-          borderColor: colors,
+          label: 'Snöfall',
+          data: snow,
+          backgroundColor: snowColors,
+          borderColor: borderColors,
+          borderWidth: borderWidths,
+          custom: { slrValues, suspectHours, driftIndex, driftDirection, surface, fluffScore },
+          stack: 'precipitation',
+          yAxisID: 'snow'
+        },
+        {
+          // Mixed days show rain stacked on top of the snow
+          label: 'Regn',
+          data: rainData,
+          backgroundColor: rainColors, // Red for rain
+          borderColor: rainColors,
           borderWidth: 1,
-          custom: { slrValues, rainDays, snowfall }, // Keep original snowfall for tooltips
+          custom: { unknownRainDays },
+          stack: 'precipitation',
           yAxisID: 'snow'
         },
         {
@@ -636,7 +1091,34 @@ function renderDailyChart(series) {
           borderWidth: 2,
           fill: true,
           yAxisID: 'depth'
-        }
+        },
+        // Modeled snowpack: unlike the cumulative sum it goes down with thaw and rain
+        ...(hasSnowpack ? [{
+          type: 'line',
+          label: 'Modellerat snödjup',
+          data: snowpack,
+          borderColor: 'rgba(23, 162, 184, 0.9)',
+          borderDash: [6, 4],
+          tension: 0.2,
+          pointRadius: 0,
+          borderWidth: 2,
+          spanGaps: true,
+          fill: false,
+          yAxisID: 'depth'
+        }] : []),
+        // Measured snow depth, to compare the computed cumulative snowfall with the real snowpack
+        ...(hasMeasuredDepth ? [{
+          type: 'line',
+          label: 'Uppmätt snödjup',
+          data: snowDepth,
+          borderColor: 'rgba(40, 167, 69, 0.9)',
+          backgroundColor: 'rgba(40, 167, 69, 0.9)',
+          pointRadius: 2,
+          borderWidth: 2,
+          spanGaps: true,
+          fill: false,
+          yAxisID: 'depth'
+        }] : [])
       ]
     },
     options: {
@@ -649,34 +1131,61 @@ function renderDailyChart(series) {
             tooltip: {
                 mode: 'index',
                 intersect: false,
+                // Only show rain on days when it rained
+                filter: (item) => item.dataset.label !== 'Regn' || item.parsed.y > 0,
                 callbacks: {
-                    title: (context) => fullDates[context[0].dataIndex],
+                    title: (context) => {
+                        const dataIndex = context[0].dataIndex;
+                        return forecastDays.has(dataIndex) ? `${fullDates[dataIndex]} (prognos)` : fullDates[dataIndex];
+                    },
                     label: (context) => {
                         const dataset = context.dataset;
+                        const dataIndex = context.dataIndex;
+                        if (dataset.label === 'Modellerat snödjup') {
+                            return `Modellerat snödjup: ${context.parsed.y.toFixed(0)} cm`;
+                        }
+                        if (dataset.label === 'Uppmätt snödjup') {
+                            return `Uppmätt snödjup: ${context.parsed.y.toFixed(0)} cm`;
+                        }
                         if (dataset.yAxisID === 'depth') {
                             return `Totalt: ${context.parsed.y.toFixed(1)} cm`;
                         }
 
-                        const dataIndex = context.dataIndex;
-                        const { slrValues, rainDays, snowfall } = dataset.custom;
-                        
-                        if (rainDays.has(dataIndex)) {
-                            // Show rain amount in mm (original negative value is precipitation in mm)
-                            const rainMm = Math.abs(snowfall[dataIndex]);
-                            return `☠️ Regn: ${rainMm.toFixed(1)} mm - snön är förstörd!`;
+                        if (dataset.label === 'Regn') {
+                            if (dataset.custom.unknownRainDays.has(dataIndex)) {
+                                return '☠️ Regn - snön är förstörd!';
+                            }
+                            return `☠️ Regn: ${context.parsed.y.toFixed(1)} mm - snön är förstörd!`;
                         }
+
+                        const { slrValues, suspectHours, driftIndex, driftDirection, surface, fluffScore } = dataset.custom;
+                        const suspectLine = suspectHours[dataIndex] > 0
+                            ? [`⚠️ ${suspectHours[dataIndex]} timmar med ogranskade värden`]
+                            : [];
+                        // Drift also happens on days after the snowfall, so it is shown without new snow too
+                        const drift = describeDrift(driftIndex[dataIndex], driftDirection[dataIndex]);
+                        const driftLine = drift ? [drift] : [];
+                        const surfaceLine = SURFACE_LABELS[surface[dataIndex]]
+                            ? [`Underlag mitt på dagen: ${SURFACE_LABELS[surface[dataIndex]]}`]
+                            : [];
+                        const fluffLine = fluffScore[dataIndex] !== null
+                            ? [`Fluffpoäng: ${fluffScore[dataIndex].toFixed(1)}/10`]
+                            : [];
                         
                         const cm = context.parsed.y.toFixed(1);
                         const slr = slrValues[dataIndex];
-                        const slrStr = slr === -1 ? '-1' : slr.toFixed(1);
                         
-                        if (window.innerWidth < 768) {
-                            return `Snöfall: ${cm} cm`;
+                        if (window.innerWidth < 768 || context.parsed.y === 0) {
+                            return [`Snöfall: ${cm} cm`, ...surfaceLine, ...fluffLine, ...driftLine, ...suspectLine];
                         }
                         
                         return [
                             `Snöfall: ${cm} cm`,
-                            `Fluffighet (SLR): ${slrStr}`
+                            `Fluffighet (SLR): ${slr.toFixed(1)}`,
+                            ...surfaceLine,
+                            ...fluffLine,
+                            ...driftLine,
+                            ...suspectLine
                         ];
                     }
                 }
@@ -688,8 +1197,9 @@ function renderDailyChart(series) {
                 position: 'left',
                 title: {
                     display: true,
-                    text: 'Snöfall / Regn (cm)'
+                    text: 'Snöfall (cm) / Regn (mm)'
                 },
+                stacked: true,
                 beginAtZero: true
             },
             depth: {
@@ -697,7 +1207,7 @@ function renderDailyChart(series) {
                 position: 'right',
                 title: {
                     display: true,
-                    text: 'Kumulativt snöfall (cm)'
+                    text: hasMeasuredDepth || hasSnowpack ? 'Kumulativt snöfall / snödjup (cm)' : 'Kumulativt snöfall (cm)'
                 },
                 grid: {
                     drawOnChartArea: false
@@ -705,6 +1215,7 @@ function renderDailyChart(series) {
                 beginAtZero: true
             },
             x: {
+                stacked: true,
                 title: {
                     display: false
                 },
@@ -733,14 +1244,20 @@ function renderDailyChart(series) {
  */
 /**
  * Render hourly snowfall chart using Chart.js
+ * @param {Array<Object>} data - Last 24 hours from fetchLast24Hours
+ * @param {Array<Object>} forecastHours - Forecast hours after them, see getForecastHours
  */
-function renderHourlyChart(data) {
+function renderHourlyChart(data, forecastHours = []) {
   destroyChart(hourlyChartInstance);
   
   if (data.length === 0) {
     showError('hourlyChart', 'Ingen data tillgänglig');
     return;
   }
+
+  // The forecast continues the chart after the observed hours
+  const observedCount = data.length;
+  data = [...data, ...forecastHours];
   
   const ctx = document.getElementById('hourlyChart').getContext('2d');
   
@@ -756,6 +1273,10 @@ function renderHourlyChart(data) {
   
   const snowfall = data.map(d => d.snowfall);
   const slrValues = data.map(d => d.slr);
+  // Rain part of hours in the rain/snow transition band
+  const rainParts = data.map(d => (d.snowfall > 0 ? d.rainMm || 0 : 0));
+  // Step-by-step explanation of each hour's calculation (see calculateSnowfall)
+  const traces = data.map(d => d.trace || []);
   const temperatures = data.map(d => d.temperature);
   
   // Identify rain hours: hours where snowfall is negative
@@ -768,19 +1289,24 @@ function renderHourlyChart(data) {
   
   // Colors: red for rain (negative values), snow color for positive values
   const colors = snowfall.map((val, index) => {
+    const isForecast = index >= observedCount;
     if (val < 0) {
-      return 'rgba(220, 53, 69, 0.8)'; // Red for rain
+      return isForecast ? FORECAST_RAIN_COLOR : 'rgba(220, 53, 69, 0.8)'; // Red for rain
     }
-    return getSnowColor(slrValues[index]);
+    return isForecast ? getForecastColor(getSnowColor(slrValues[index])) : getSnowColor(slrValues[index]);
   });
 
   // Exclude negative values from total snowfall calculation
-  const totalSnowfall = snowfall.reduce((sum, d) => d >= 0 ? sum + d : sum, 0);
+  const sumSnowfall = (values) => values.reduce((sum, d) => d >= 0 ? sum + d : sum, 0);
+  const totalSnowfall = sumSnowfall(snowfall.slice(0, observedCount));
 
   // Uppdatera HTML-titeln
   const chartTitleElement = document.querySelector('#hourlyChart').previousElementSibling;
   if (chartTitleElement && chartTitleElement.classList.contains('chart-title')) {
-    chartTitleElement.textContent = `Senaste 24 timmarna: ${totalSnowfall.toFixed(1)} cm`;
+    const forecastText = forecastHours.length > 0
+      ? ` · prognos ${forecastHours.length} timmar: ${sumSnowfall(snowfall.slice(observedCount)).toFixed(1)} cm`
+      : '';
+    chartTitleElement.textContent = `Senaste 24 timmarna: ${totalSnowfall.toFixed(1)} cm${forecastText}`;
   }
 
   // Cache for temperature gradient
@@ -844,8 +1370,8 @@ function renderHourlyChart(data) {
           borderColor: colors,
           borderWidth: 1,
           yAxisID: 'snow',
-          // Store SLR values and rain hours in custom field for tooltips
-          custom: { slrValues, rainHours }
+          // Store SLR values, rain hours and calculation traces in custom field for tooltips
+          custom: { slrValues, rainHours, rainParts, traces }
         },
         {
           type: 'line',
@@ -856,6 +1382,10 @@ function renderHourlyChart(data) {
             return getOrCreateTempGradient(chart);
           },
           backgroundColor: 'transparent',
+          // Dashed where the forecast starts
+          segment: {
+            borderDash: (segmentContext) => (segmentContext.p1DataIndex >= observedCount ? [4, 4] : undefined)
+          },
           tension: 0.3,
           pointRadius: 0,
           borderWidth: 2,
@@ -894,7 +1424,9 @@ function renderHourlyChart(data) {
                                 hour: '2-digit', 
                                 hourCycle: 'h23' 
                             });
-                            return `kl ${startHourStr}-${endHourStr}`;
+                            return dataIndex >= observedCount
+                                ? `kl ${startHourStr}-${endHourStr} (prognos)`
+                                : `kl ${startHourStr}-${endHourStr}`;
                         }
                         return context[0].label;
                     },
@@ -910,24 +1442,38 @@ function renderHourlyChart(data) {
                         }
                         
                         // Snowfall bars
-                        const { slrValues, rainHours } = dataset.custom;
+                        const { slrValues, rainHours, rainParts, traces } = dataset.custom;
+                        const isMobile = window.innerWidth < 768;
+                        // Hours without precipitation have nothing to explain
+                        const traceLines = traces[dataIndex].length > 1
+                            ? traces[dataIndex].map(step => `  ${step.text}`)
+                            : [];
                         
                         if (rainHours.has(dataIndex)) {
                             // Rain hour - show rain message
-                            return '☠️ Regn - snön är förstörd!';
+                            if (isMobile) {
+                                return '☠️ Regn - snön är förstörd!';
+                            }
+                            return ['☠️ Regn - snön är förstörd!', ...traceLines];
                         }
                         
                         const cm = context.parsed.y.toFixed(1);
                         const slr = slrValues[dataIndex];
                         const slrStr = slr === -1 ? '-1' : slr.toFixed(1);
                         
-                        if (window.innerWidth < 768) {
+                        if (isMobile) {
                             return `Snöfall: ${cm} cm`;
                         }
                         
+                        // Snow hours get their quality name and the calculation behind it
+                        const qualityStr = context.parsed.y > 0 ? ` ${getSnowQualityLabel(slr)}` : '';
+                        // Hours in the transition band also had some rain
+                        const rainLines = rainParts[dataIndex] > 0 ? [`Regn: ${rainParts[dataIndex].toFixed(1)} mm`] : [];
                         return [
-                            `Snöfall: ${cm} cm`,
-                            `Fluffighet (SLR): ${slrStr}`
+                            `Snöfall: ${cm} cm${qualityStr}`,
+                            ...rainLines,
+                            `Fluffighet (SLR): ${slrStr}`,
+                            ...traceLines
                         ];
                     }
                 }
@@ -998,13 +1544,18 @@ function showError(elementId, message) {
  */
 async function init() {
   // Låt loading meddelandet visas i chart-container till data laddats
+  initStationSelector(currentStation);
+  initAlertPanel();
   
   // Load hourly chart first (needed for today's calculation)
   let hourlyData = null;
+  currentForecast = await fetchForecast();
   try {
-    hourlyData = await fetchLast24Hours();
+    hourlyData = await fetchLast24Hours(currentStation);
     if (hourlyData.length > 0) {
-      renderHourlyChart(hourlyData);
+      const latestHour = hourlyData[hourlyData.length - 1].timestamp;
+      renderHourlyChart(hourlyData, getForecastHours(currentForecast, latestHour));
+      renderConditionsPanel(hourlyData);
     } else {
       showError('hourlyChart', 'Ingen timdata tillgänglig');
     }
@@ -1017,8 +1568,10 @@ async function init() {
   try {
     const dailyData = await fetchDailySnowfall();
     if (dailyData.length > 0) {
-      const dailySeries = prepareDailySeries(dailyData, hourlyData);
-      renderDailyChart(dailySeries);
+      initSlrModelSelector(dailyData, hourlyData);
+      const dailySeries = prepareDailySeries(dailyData, hourlyData, currentSlrModel);
+      renderDailyChart(appendForecastDays(dailySeries, currentForecast, currentSlrModel));
+      renderFluffPanel(dailySeries);
       updateSubtitle(dailySeries);
       updatePageTitle(null, dailySeries.fullDates);
     } else {
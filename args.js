@@ -0,0 +1,15 @@
+/**
+ * Get the value of a command-line option, given as --name=value or --name value
+ * Same forms as --station (see parseStationArg in stations.js).
+ * @param {Array<string>} args - Command-line arguments
+ * @param {string} name - Option name including the dashes, e.g. '--from'
+ * @returns {string|undefined} The value, undefined without the option
+ */
+function getArgValue(args, name) {
+  const index = args.findIndex(arg => arg === name || arg.startsWith(`${name}=`));
+  if (index === -1) return undefined;
+
+  return args[index] === name ? args[index + 1] : args[index].slice(name.length + 1);
+}
+
+module.exports = { getArgValue };
@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+const { calculateSnowfallForHour, DEFAULT_SNOWFALL_PARAMS } = require('./snowfall.js');
+const { getMetDayKey } = require('./daily_aggregation.js');
+const { getDefaultStation, getStationDataDir, parseStationArg } = require('./stations.js');
+const { readHourlyData } = require('./fetch_data.js');
+const { readCsvRows } = require('./csv.js');
+
+/**
+ * Calibrate the snowfall model constants (DEFAULT_SNOWFALL_PARAMS in snowfall.js)
+ * against observed daily new snow.
+ *
+ * Observations are a CSV with a date column (met-day, YYYY-MM-DD) and either
+ * - new_snow_cm: observed new snow per met-day, or
+ * - snow_depth_cm: observed depth; the day-to-day increase is used as new snow.
+ *   Settlement makes this a lower bound, so expect a positive bias.
+ * Without --observed, the station's measured SMHI snow depth (aggregated_data.csv) is used.
+ *
+ * Usage:
+ *   node calibrate.js [--station=<key>] [--observed=<file.csv>] [--report=<file.md>]
+ */
+
+// Search range and initial step per parameter: [min, max, step]
+const PARAMETER_BOUNDS = {
+  baseSlr: [5, 12, 0.5],
+  nearZeroSlope: [0, 3, 0.25],
+  coldSlope: [0.3, 2.5, 0.1],
+  windThreshold: [0, 8, 0.5],
+  windDecay: [0, 0.3, 0.02],
+  phaseMidpoint: [-0.5, 2.5, 0.25],
+  phaseHalfWidth: [0, 2, 0.25]
+};
+const MIN_STEP_FRACTION = 0.01; // Stop when every step is below 1% of its initial value
+const MAX_ITERATIONS = 500;
+
+/**
+ * Turn observation rows into observed new snow per met-day
+ * @returns {{ mode: string, observed: Map<string, number> }}
+ */
+function loadObservations(rows) {
+  const observed = new Map();
+
+  if (rows.length > 0 && rows[0].new_snow_cm !== undefined) {
+    rows.forEach(row => {
+      const value = parseFloat(row.new_snow_cm);
+      if (!isNaN(value)) observed.set(row.date, value);
+    });
+    return { mode: 'new snow', observed };
+  }
+
+  // Depth change between consecutive days with readings
+  const depths = rows
+    .filter(row => row.snow_depth_cm !== undefined && row.snow_depth_cm !== '')
+    .map(row => ({ date: row.date, depth: parseFloat(row.snow_depth_cm) }))
+    .filter(row => !isNaN(row.depth))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  for (let i = 1; i < depths.length; i++) {
+    const dayGap = (new Date(depths[i].date) - new Date(depths[i - 1].date)) / (24 * 60 * 60 * 1000);
+    if (dayGap !== 1) continue;
+    observed.set(depths[i].date, Math.max(depths[i].depth - depths[i - 1].depth, 0));
+  }
+  return { mode: 'depth change', observed };
+}
+
+/**
+ * Group hours with precipitation by met-day, only for days that have observations
+ */
+function groupPrecipitationHours(hourlyData, observed) {
+  const hoursByDay = new Map([...observed.keys()].map(date => [date, []]));
+  for (const hour of hourlyData) {
+    if (hour.temperature === undefined || !(hour.precipitation > 0)) continue;
+    const day = getMetDayKey(new Date(hour.timestamp));
+    if (hoursByDay.has(day)) {
+      hoursByDay.get(day).push(hour);
+    }
+  }
+  return hoursByDay;
+}
+
+/**
+ * Modeled new snow (cm) per day for one parameter set
+ * @param {number} elevation - Station elevation (m), for the station pressure in the wet bulb
+ * @returns {Array<{ date: string, modeled: number, observed: number }>}
+ */
+function modelDays(hoursByDay, observed, params, elevation = 0) {
+  return [...hoursByDay.entries()].map(([date, hours]) => {
+    const modeled = hours.reduce((sum, hour) => {
+      const { amount } = calculateSnowfallForHour(hour, { params, elevation });
+      return amount > 0 ? sum + amount : sum;
+    }, 0);
+    return { date, modeled, observed: observed.get(date) };
+  });
+}
+
+/**
+ * Bias, RMSE and MAE of modeled - observed
+ */
+function calculateErrors(days) {
+  if (days.length === 0) return { n: 0, bias: NaN, rmse: NaN, mae: NaN };
+  const residuals = days.map(day => day.modeled - day.observed);
+  const sum = (values) => values.reduce((a, b) => a + b, 0);
+  return {
+    n: residuals.length,
+    bias: sum(residuals) / residuals.length,
+    rmse: Math.sqrt(sum(residuals.map(r => r * r)) / residuals.length),
+    mae: sum(residuals.map(Math.abs)) / residuals.length
+  };
+}
+
+/**
+ * Errors per calendar month (YYYY-MM)
+ */
+function calculateMonthlyErrors(days) {
+  const byMonth = {};
+  days.forEach(day => {
+    const month = day.date.slice(0, 7);
+    if (!byMonth[month]) byMonth[month] = [];
+    byMonth[month].push(day);
+  });
+  return Object.keys(byMonth).sort().map(month => ({ month, ...calculateErrors(byMonth[month]) }));
+}
+
+/**
+ * Coordinate descent over PARAMETER_BOUNDS, minimising RMSE
+ * Each parameter is moved one step up or down while that lowers the RMSE;
+ * when no move helps, all steps are halved.
+ */
+function fitParameters(hoursByDay, observed, elevation = 0) {
+  const score = (params) => calculateErrors(modelDays(hoursByDay, observed, params, elevation)).rmse;
+
+  let best = { ...DEFAULT_SNOWFALL_PARAMS };
+  let bestScore = score(best);
+  const steps = Object.fromEntries(Object.entries(PARAMETER_BOUNDS).map(([key, [, , step]]) => [key, step]));
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    let improved = false;
+
+    for (const [key, [min, max]] of Object.entries(PARAMETER_BOUNDS)) {
+      for (const direction of [1, -1]) {
+        const value = Math.min(max, Math.max(min, best[key] + direction * steps[key]));
+        if (value === best[key]) continue;
+
+        const candidate = { ...best, [key]: value };
+        const candidateScore = score(candidate);
+        if (candidateScore < bestScore) {
+          best = candidate;
+          bestScore = candidateScore;
+          improved = true;
+        }
+      }
+    }
+
+    if (!improved) {
+      const done = Object.entries(steps).every(([key, step]) => step < PARAMETER_BOUNDS[key][2] * MIN_STEP_FRACTION);
+      if (done) break;
+      Object.keys(steps).forEach(key => { steps[key] /= 2; });
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Format the calibration report as Markdown
+ */
+function formatReport({ station, source, mode, days, fitted }) {
+  const defaultDays = modelDays(days.hoursByDay, days.observed, DEFAULT_SNOWFALL_PARAMS, station.elevation);
+  const fittedDays = modelDays(days.hoursByDay, days.observed, fitted, station.elevation);
+  const defaultErrors = calculateErrors(defaultDays);
+  const fittedErrors = calculateErrors(fittedDays);
+  const defaultMonthly = calculateMonthlyErrors(defaultDays);
+  const fittedMonthly = calculateMonthlyErrors(fittedDays);
+  const dates = defaultDays.map(day => day.date).sort();
+  const f = (value, decimals = 2) => (isNaN(value) ? '-' : value.toFixed(decimals));
+
+  const lines = [
+    `# Snowfall model calibration: ${station.name}`,
+    '',
+    `- Generated: ${new Date().toISOString()}`,
+    `- Observations: ${source} (${mode})`,
+    `- Days: ${defaultErrors.n} (${dates[0] || '-'} to ${dates[dates.length - 1] || '-'})`,
+    '- Residual = modeled - observed new snow (cm per met-day)',
+    '',
+    '## Parameters',
+    '',
+    '| Parameter | Default | Fitted |',
+    '|---|---|---|',
+    ...Object.keys(PARAMETER_BOUNDS).map(key =>
+      `| ${key} | ${DEFAULT_SNOWFALL_PARAMS[key]} | ${f(fitted[key], 3)} |`
+    ),
+    '',
+    '## Errors',
+    '',
+    '| | Bias (cm) | RMSE (cm) | MAE (cm) |',
+    '|---|---|---|---|',
+    `| Default | ${f(defaultErrors.bias)} | ${f(defaultErrors.rmse)} | ${f(defaultErrors.mae)} |`,
+    `| Fitted | ${f(fittedErrors.bias)} | ${f(fittedErrors.rmse)} | ${f(fittedErrors.mae)} |`,
+    '',
+    '## Residuals per month',
+    '',
+    '| Month | Days | Bias default | Bias fitted | RMSE default | RMSE fitted |',
+    '|---|---|---|---|---|---|',
+    ...defaultMonthly.map((month, index) => {
+      const fittedMonth = fittedMonthly[index];
+      return `| ${month.month} | ${month.n} | ${f(month.bias)} | ${f(fittedMonth.bias)} | ${f(month.rmse)} | ${f(fittedMonth.rmse)} |`;
+    }),
+    ''
+  ];
+  return lines.join('\n');
+}
+
+/**
+ * Run the calibration for a station and write the report
+ * @param {Object} station - Station from the registry
+ * @param {Object} options
+ * @param {string|null} options.observedFile - Observation CSV (defaults to the station's aggregated_data.csv)
+ * @param {string|null} options.reportFile - Report path (defaults to data/<station>/calibration_report.md)
+ * @returns {Object} Fitted parameters
+ */
+function calibrate(station, { observedFile = null, reportFile = null } = {}) {
+  const dataDir = path.join(__dirname, getStationDataDir(station));
+  const source = observedFile || path.join(dataDir, 'aggregated_data.csv');
+  const { mode, observed } = loadObservations(readCsvRows(source));
+
+  const hourlyData = [...readHourlyData(station).values()];
+  const hoursByDay = groupPrecipitationHours(hourlyData, observed);
+  if (hoursByDay.size === 0) {
+    throw new Error(`No observations in ${source} (needs date and new_snow_cm or snow_depth_cm)`);
+  }
+
+  console.log(`Calibrating against ${hoursByDay.size} days of observed ${mode}...`);
+  const fitted = fitParameters(hoursByDay, observed, station.elevation);
+
+  const report = formatReport({
+    station,
+    source: observedFile || path.relative(__dirname, source),
+    mode,
+    days: { hoursByDay, observed },
+    fitted
+  });
+  const reportPath = reportFile || path.join(dataDir, 'calibration_report.md');
+  fs.writeFileSync(reportPath, report);
+
+  console.log(`Fitted parameters: ${JSON.stringify(fitted)}`);
+  console.log(`Report written to ${reportPath}`);
+  return fitted;
+}
+
+// Run if called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const getArg = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1] || null;
+
+  const station = parseStationArg(args) || getDefaultStation();
+
+  try {
+    calibrate(station, { observedFile: getArg('observed'), reportFile: getArg('report') });
+  } catch (error) {
+    console.error('Error in calibration:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { calibrate, fitParameters, calculateErrors };
@@ -1,4 +1,8 @@
 // Compare page - 30 years of snowfall visualization
+// Note: stations.js must be loaded before compare.js
+
+// Selected station (from ?station=, defaults to Klövsjö)
+const currentStation = getStationFromURL();
 
 let compareChartInstance = null;
 let allSeasonsData = [];
@@ -27,28 +31,19 @@ function parseCSV(csvText) {
 }
 
 /**
- * Get season filename from year
- */
-function getSeasonFilename(year) {
-    const year1 = String(year).slice(-2);
-    const year2 = String(year + 1).slice(-2);
-    return `agg${year1}${year2}.csv`;
-}
-
-/**
- * Fetch data for a specific season
+ * Fetch data for a season listed in the season catalog
+ * @param {Object} season - Catalog entry (file is relative to the station directory)
  */
-async function fetchSeasonData(year) {
-    const filename = getSeasonFilename(year);
+async function fetchSeasonData(season) {
     try {
-        const response = await fetch(`data/historic/${filename}`);
+        const response = await fetch(`${getStationDataDir(currentStation)}/${season.file}`);
         if (!response.ok) {
             return null;
         }
         const csvText = await response.text();
         return parseCSV(csvText);
     } catch (error) {
-        console.warn(`Could not load season ${year}-${year + 1}:`, error);
+        console.warn(`Could not load season ${season.label}:`, error);
         return null;
     }
 }
@@ -132,7 +127,8 @@ function processSeasonData(data, year, isCurrentSeason = false) {
     data.forEach(row => {
         const dayIndex = dateToDayOfSeason(row.date);
         if (dayIndex >= 0 && dayIndex < 182 && dayIndex <= todayIndex) {
-            const snowfall = parseFloat(row.snowfall_cm);
+            // Older historic files have snowfall_cm (-1 on rain days) instead of snow_cm
+            const snowfall = parseFloat(row.snow_cm ?? row.snowfall_cm);
             if (snowfall > 0) {
                 runningTotal += snowfall;
             }
@@ -172,64 +168,36 @@ function processSeasonData(data, year, isCurrentSeason = false) {
     };
 }
 
-/**
- * Fetch current season data
- */
-async function fetchCurrentSeasonData() {
-    try {
-        const response = await fetch('data/aggregated_data.csv');
-        if (!response.ok) {
-            return null;
-        }
-        const csvText = await response.text();
-        return parseCSV(csvText);
-    } catch (error) {
-        console.warn('Could not load current season:', error);
-        return null;
-    }
-}
-
 /**
  * Load all seasons data
  */
 async function loadAllSeasons() {
     const seasons = [];
 
-    // Seasons to exclude (broken measurement equipment)
-    const excludedSeasons = [2017]; // 2017-2018 season had broken equipment
+    // All seasons with data, from data/<station>/seasons.json
+    // Excluded seasons (e.g. broken measurement equipment) are marked in the catalog
+    const catalog = await fetchSeasonCatalog(currentStation);
 
-    // Load historic seasons (1995-2024)
-    const historicYears = [];
-    for (let year = 1995; year <= 2024; year++) {
-        if (!excludedSeasons.includes(year)) {
-            historicYears.push(year);
-        }
-    }
-
-    const historicResults = await Promise.all(
-        historicYears.map(async (year) => {
-            const data = await fetchSeasonData(year);
+    const results = await Promise.all(
+        catalog.filter(season => !season.excluded).map(async (season) => {
+            const data = await fetchSeasonData(season);
             if (data && data.length > 0) {
-                return processSeasonData(data, year);
+                return {
+                    ...processSeasonData(data, season.year, season.current),
+                    wetBulbMethod: season.wetBulbMethod ?? null,
+                    phaseModel: season.phaseModel ?? null
+                };
             }
             return null;
         })
     );
 
-    historicResults.forEach(result => {
+    results.forEach(result => {
         if (result) {
             seasons.push(result);
         }
     });
 
-    // Load current season (2025-2026)
-    const currentData = await fetchCurrentSeasonData();
-    if (currentData && currentData.length > 0) {
-        const firstDate = new Date(currentData[0].date);
-        const currentYear = firstDate.getMonth() >= 6 ? firstDate.getFullYear() : firstDate.getFullYear() - 1;
-        seasons.push(processSeasonData(currentData, currentYear, true));
-    }
-
     seasons.sort((a, b) => a.year - b.year);
 
     return seasons;
@@ -239,19 +207,28 @@ async function loadAllSeasons() {
  * Group seasons into 5-year periods
  */
 function groupIntoFiveYearPeriods(seasons) {
+    // Periods cover finished seasons only (the current season gets its own line)
+    const currentSeasonYear = getCurrentSeasonStartYear();
+    const finishedYears = seasons.map(s => s.year).filter(year => year < currentSeasonYear);
+    const periodStarts = [];
+    if (finishedYears.length > 0) {
+        const lastPeriod = Math.floor(Math.max(...finishedYears) / 5) * 5;
+        for (let start = Math.floor(Math.min(...finishedYears) / 5) * 5; start <= lastPeriod; start += 5) {
+            periodStarts.push(start);
+        }
+    }
+
     // Using gradient: older periods more transparent, newer more opaque
-    // All using similar blue/purple hue but varying opacity
-    const periods = [
-        { label: '1995-99', years: [1995, 1996, 1997, 1998, 1999], opacity: 0.25 },
-        { label: '2000-04', years: [2000, 2001, 2002, 2003, 2004], opacity: 0.40 },
-        { label: '2005-09', years: [2005, 2006, 2007, 2008, 2009], opacity: 0.55 },
-        { label: '2010-14', years: [2010, 2011, 2012, 2013, 2014], opacity: 0.70 },
-        { label: '2015-19', years: [2015, 2016, 2018, 2019], opacity: 0.85 }, // Note: 2017 excluded
-        { label: '2020-24', years: [2020, 2021, 2022, 2023, 2024], opacity: 1.0 }
-    ].map((p, i, arr) => ({
-        ...p,
-        color: `rgba(102, 126, 234, ${p.opacity})` // Purple-blue gradient
-    }));
+    // All using similar blue/purple hue but varying opacity (0.25 -> 1.0)
+    const periods = periodStarts.map((start, i, arr) => {
+        const opacity = arr.length > 1 ? 0.25 + (0.75 * i) / (arr.length - 1) : 1.0;
+        return {
+            label: `${start}-${String(start + 4).slice(-2)}`,
+            years: [start, start + 1, start + 2, start + 3, start + 4], // Excluded seasons are never loaded
+            opacity,
+            color: `rgba(102, 126, 234, ${opacity.toFixed(2)})` // Purple-blue gradient
+        };
+    });
 
     const result = [];
 
@@ -278,8 +255,6 @@ function groupIntoFiveYearPeriods(seasons) {
     }
 
     // Add current season as separate line
-    const now = new Date();
-    const currentSeasonYear = now.getMonth() >= 6 ? now.getFullYear() : now.getFullYear() - 1;
     const currentSeason = seasons.find(s => s.year === currentSeasonYear);
     if (currentSeason) {
         result.push({
@@ -301,8 +276,7 @@ function groupIntoFiveYearPeriods(seasons) {
  */
 function calculateBands(seasons) {
     // Exclude current incomplete season from min/max/avg calculation
-    const now = new Date();
-    const currentSeasonYear = now.getMonth() >= 6 ? now.getFullYear() : now.getFullYear() - 1;
+    const currentSeasonYear = getCurrentSeasonStartYear();
     const completedSeasons = seasons.filter(s => s.year !== currentSeasonYear);
     const currentSeason = seasons.find(s => s.year === currentSeasonYear);
 
@@ -337,8 +311,7 @@ function calculateBands(seasons) {
 function calculateStats(seasons) {
     if (seasons.length === 0) return null;
 
-    const now = new Date();
-    const currentSeasonYear = now.getMonth() >= 6 ? now.getFullYear() : now.getFullYear() - 1;
+    const currentSeasonYear = getCurrentSeasonStartYear();
     const completedSeasons = seasons.filter(s => s.year !== currentSeasonYear);
 
     const totals = seasons.map(s => ({ year: s.year, total: s.finalTotal }));
@@ -695,6 +668,86 @@ function updateSubtitle() {
     }
 }
 
+/**
+ * Describe data source and excluded seasons for the selected station
+ */
+function updateStationDescription() {
+    const descriptionEl = document.getElementById('stationDescription');
+    if (!descriptionEl) return;
+
+    const excluded = Object.entries(currentStation.excludedSeasons).map(([year, reason]) => {
+        const startYear = Number(year);
+        return `Säsongen ${startYear}-${String(startYear + 1).slice(-2)} är exkluderad på grund av ${reason}.`;
+    });
+
+    descriptionEl.textContent = [`Data från SMHI väderstation i ${currentStation.name}.`, ...excluded].join(' ');
+}
+
+/**
+ * Format season starting years as ranges of consecutive seasons, e.g. "1995-96–2003-04, 2005-06"
+ */
+function formatSeasonRanges(years) {
+    const label = (year) => `${year}-${String(year + 1).slice(-2)}`;
+    const ranges = [];
+    [...years].sort((a, b) => a - b).forEach(year => {
+        const last = ranges[ranges.length - 1];
+        if (last && year === last.to + 1) {
+            last.to = year;
+        } else {
+            ranges.push({ from: year, to: year });
+        }
+    });
+    return ranges.map(({ from, to }) => (from === to ? label(from) : `${label(from)}–${label(to)}`)).join(', ');
+}
+
+/**
+ * Describe how the seasons in a list differ in a calculation setting
+ * @param {Array<Object>} seasons - Loaded seasons
+ * @param {string} key - Season property with the setting
+ * @param {function(string|null): string} describe - Label for a setting value
+ * @returns {string|null} e.g. "Tumregel 1995-96–2024-25, Psykrometrisk 2025-26", null if all seasons are the same
+ */
+function describeSettingGroups(seasons, key, describe) {
+    const groups = new Map();
+    seasons.forEach(season => {
+        if (!groups.has(season[key])) groups.set(season[key], []);
+        groups.get(season[key]).push(season.year);
+    });
+    if (groups.size < 2) return null;
+    return [...groups.entries()].map(([value, years]) => `${describe(value)} ${formatSeasonRanges(years)}`).join(', ');
+}
+
+/**
+ * Warn when the seasons aren't computed the same way and so aren't directly comparable
+ * (historic seasons keep the calculation they were aggregated with until they are recomputed)
+ */
+function updateCalculationDescription() {
+    const descriptionEl = document.getElementById('calculationDescription');
+    if (!descriptionEl) return;
+
+    const wetBulb = describeSettingGroups(allSeasonsData, 'wetBulbMethod', method => {
+        if (method === 'mixed') return 'blandad';
+        return WET_BULB_METHODS[method]?.label.toLowerCase() || 'okänd';
+    });
+    // Older files cut hard at a wet bulb of 1 °C, see getSeasonPhaseModel in season_catalog.js
+    const { phaseMidpoint, phaseHalfWidth } = DEFAULT_SNOWFALL_PARAMS;
+    const phase = describeSettingGroups(allSeasonsData, 'phaseModel', model => {
+        if (model === 'cutoff') return 'hård gräns vid 1 °C';
+        if (model === 'band') return `övergångszon ${phaseMidpoint - phaseHalfWidth}–${phaseMidpoint + phaseHalfWidth} °C`;
+        return 'okänd';
+    });
+
+    const differences = [
+        wetBulb && `Wet bulb: ${wetBulb}.`,
+        phase && `Regn/snö: ${phase}.`
+    ].filter(Boolean);
+
+    descriptionEl.hidden = differences.length === 0;
+    descriptionEl.textContent = differences.length > 0
+        ? `Säsongerna är inte beräknade på samma sätt och är inte direkt jämförbara. ${differences.join(' ')}`
+        : '';
+}
+
 /**
  * Show error message
  */
@@ -709,6 +762,10 @@ function showError(message) {
  * Initialize the compare page
  */
 async function initCompare() {
+    initStationSelector(currentStation);
+    updateStationDescription();
+    document.title = `isitfluffy - ${currentStation.name} snöhistorik`;
+
     try {
         const seasons = await loadAllSeasons();
         allSeasonsData = seasons;
@@ -723,6 +780,7 @@ async function initCompare() {
 
         // Update subtitle
         updateSubtitle();
+        updateCalculationDescription();
 
         // Calculate and render stats
         const stats = calculateStats(seasons);
@@ -0,0 +1,128 @@
+/**
+ * "Conditions now" for skiers, shared by Node.js and the browser.
+ * Built from one observed hour: flat-light risk from visibility, wind chill,
+ * precipitation type and a short verdict.
+ * Note: In browser, snowfall.js must be loaded before conditions.js
+ */
+
+// Precipitation types from snowfall.js: a global in the browser, required in Node.js
+const precipitationTypes = typeof classifyPresentWeather !== 'undefined'
+  ? { classifyPresentWeather, PRECIPITATION_TYPES }
+  : require('./snowfall.js');
+
+// Visibility (m) below which flat light is likely: snowfall, fog or low cloud on the mountain
+const FLAT_LIGHT_LEVELS = [
+  { maxVisibility: 1000, level: 'high', label: 'Hög risk för platt ljus' },
+  { maxVisibility: 5000, level: 'moderate', label: 'Risk för platt ljus' },
+  { maxVisibility: Infinity, level: 'low', label: 'God sikt' }
+];
+
+// Wind chill is only defined for cold and windy conditions (Environment Canada / SMHI)
+const WIND_CHILL_MAX_TEMP = 10;
+const WIND_CHILL_MIN_WIND = 4.8 / 3.6; // 4.8 km/h in m/s
+
+// Frostbite risk for exposed skin by wind chill (°C), Environment Canada
+const WIND_CHILL_LEVELS = [
+  { maxWindChill: -48, label: 'Extremt kallt - förfrysning inom 2 minuter' },
+  { maxWindChill: -40, label: 'Mycket kallt - förfrysning inom 5-10 minuter' },
+  { maxWindChill: -28, label: 'Risk för förfrysning inom 10-30 minuter' },
+  { maxWindChill: -10, label: 'Kallt - täck ansiktet i liften' },
+  { maxWindChill: Infinity, label: 'Behagligt' }
+];
+
+// Wind (m/s) where exposed lifts usually slow down or stop
+const STRONG_WIND = 15;
+// SLR from which falling snow counts as powder
+const POWDER_SLR = 15;
+
+/**
+ * Wind chill (effektiv temperatur), Environment Canada / SMHI formula
+ * @param {number} temp - Temperature (°C)
+ * @param {number} windSpeed - Wind speed at 10 m (m/s)
+ * @returns {number} Wind chill (°C), the temperature itself outside the formula's range
+ */
+function calculateWindChill(temp, windSpeed) {
+  if (temp > WIND_CHILL_MAX_TEMP || !(windSpeed >= WIND_CHILL_MIN_WIND)) {
+    return temp;
+  }
+  const windFactor = Math.pow(windSpeed * 3.6, 0.16);
+  return 13.12 + 0.6215 * temp - 11.37 * windFactor + 0.3965 * temp * windFactor;
+}
+
+/**
+ * Flat-light risk from visibility
+ * @param {number|null} visibility - Visibility (m), SMHI parameter 12
+ * @returns {{ level: string, label: string }|null} null without a visibility reading
+ */
+function getFlatLightRisk(visibility) {
+  if (visibility === null || visibility === undefined || isNaN(visibility)) return null;
+  const { level, label } = FLAT_LIGHT_LEVELS.find(entry => visibility < entry.maxVisibility);
+  return { level, label };
+}
+
+/**
+ * Precipitation type for an hour: the observed present weather if there is one,
+ * otherwise the modeled snow fraction (see calculateSnowfall)
+ * @param {Object} hour - { precipitation, snowFraction, presentWeather }
+ * @returns {string|null} Key in PRECIPITATION_TYPES, null when it isn't precipitating
+ */
+function getPrecipitationType(hour) {
+  if (!(hour.precipitation > 0)) return null;
+  const observed = precipitationTypes.classifyPresentWeather(hour.presentWeather);
+  if (observed) return observed;
+  if (hour.snowFraction >= 1) return 'snow';
+  if (hour.snowFraction > 0) return 'sleet';
+  return 'rain';
+}
+
+/**
+ * Short verdict, the most important condition first
+ */
+function getVerdict({ precipitationType, windChill, flatLight, windSpeed, slr }) {
+  if (precipitationType === 'rain') return '☠️ Det regnar - tungt och blött i backen';
+  if (windChill <= -28) return '🥶 Bitande kallt - täck all hud';
+  if (windSpeed >= STRONG_WIND) return '💨 Hård vind - liftarna kan stå still';
+  if (flatLight?.level === 'high') return '🌫️ Dålig sikt - åk nära träden där kontrasten är bättre';
+  if (precipitationType === 'snow' && slr >= POWDER_SLR) return '❄️ Det faller puder - ut och åk!';
+  if (precipitationType === 'snow' || precipitationType === 'graupel') return '🌨️ Det snöar';
+  if (precipitationType === 'sleet') return '🌧️ Snöblandat regn - blött på lägre höjder';
+  if (flatLight?.level === 'moderate') return '🌥️ Platt ljus - ta kontrastglasögon';
+  return '👍 Inget som hindrar åkningen';
+}
+
+/**
+ * Conditions now from the latest observed hour
+ * @param {Object} hour - Hour from fetchLast24Hours (hourly.js): { timestamp, temperature, precipitation,
+ *   windSpeed, visibility, presentWeather, snowFraction, slr }
+ * @returns {Object} { timestamp, temperature, windSpeed, windChill, windChillLabel, visibility,
+ *   flatLight, precipitationType, precipitationLabel, verdict }
+ */
+function assessConditions(hour) {
+  const windSpeed = hour.windSpeed ?? null;
+  const windChill = windSpeed !== null ? calculateWindChill(hour.temperature, windSpeed) : hour.temperature;
+  const flatLight = getFlatLightRisk(hour.visibility ?? null);
+  const precipitationType = getPrecipitationType(hour);
+
+  return {
+    timestamp: hour.timestamp,
+    temperature: hour.temperature,
+    windSpeed,
+    windChill,
+    windChillLabel: WIND_CHILL_LEVELS.find(entry => windChill <= entry.maxWindChill).label,
+    visibility: hour.visibility ?? null,
+    flatLight,
+    precipitationType,
+    precipitationLabel: precipitationType ? precipitationTypes.PRECIPITATION_TYPES[precipitationType].label : 'uppehåll',
+    verdict: getVerdict({ precipitationType, windChill, flatLight, windSpeed, slr: hour.slr })
+  };
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    calculateWindChill,
+    getFlatLightRisk,
+    getPrecipitationType,
+    assessConditions
+  };
+}
@@ -0,0 +1,29 @@
+const fs = require('fs');
+
+/**
+ * Read a CSV file with a header row into row objects (header -> value string)
+ * Used for the daily files, the forecast archive and observation files; values are trimmed
+ * and missing trailing values are ''.
+ * @param {string} filePath - CSV file
+ * @returns {Array<Object>} Rows, [] if the file doesn't exist
+ */
+function readCsvRows(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  const lines = fs.readFileSync(filePath, 'utf-8').trim().split('\n');
+  const headers = lines[0].split(',').map(header => header.trim());
+  return lines.slice(1).filter(line => line.trim()).map(line => {
+    const values = line.split(',');
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = (values[index] ?? '').trim();
+    });
+    return row;
+  });
+}
+
+module.exports = {
+  readCsvRows
+};
@@ -0,0 +1,77 @@
+/**
+ * Personal alert rules for the browser, shared by the front page (app.js) and the service worker (sw.js).
+ * A rule is { id, station, minCm, minSlr, noRain } and is checked against the last 24 hours
+ * (fetchLast24Hours in hourly.js). Rules are saved in localStorage by the page and handed to the
+ * service worker, which can't read localStorage. No DOM access here.
+ */
+
+// localStorage key for the saved rules
+const CUSTOM_ALERTS_STORAGE_KEY = 'isitfluffy.alertRules';
+
+// Tag for Periodic Background Sync, and how often to check (the browser decides the actual interval)
+const CUSTOM_ALERTS_SYNC_TAG = 'check-alerts';
+const CUSTOM_ALERTS_CHECK_INTERVAL_MS = 30 * 60 * 1000;
+
+/**
+ * Sum the last 24 hours the same way as today's value in the daily chart
+ * @param {Array<Object>} hourlyData - From fetchLast24Hours
+ * @returns {{ snowCm: number, rainMm: number, slr: number }} slr is the mean over hours with snow (0 without snow)
+ */
+function summarizeHours(hourlyData) {
+  const snowHours = hourlyData.filter(hour => hour.snowfall > 0);
+  return {
+    snowCm: snowHours.reduce((sum, hour) => sum + hour.snowfall, 0),
+    rainMm: hourlyData.reduce((sum, hour) => sum + (hour.rainMm || 0), 0),
+    slr: snowHours.length > 0 ? snowHours.reduce((sum, hour) => sum + hour.slr, 0) / snowHours.length : 0
+  };
+}
+
+/**
+ * Does the last 24 hours match a rule?
+ * Rain below 0.1 mm (what the gauge resolves) counts as no rain.
+ */
+function matchesCustomRule(rule, summary) {
+  return summary.snowCm >= rule.minCm
+    && (!rule.minSlr || summary.slr >= rule.minSlr)
+    && (!rule.noRain || summary.rainMm < 0.1);
+}
+
+/**
+ * Describe a rule, e.g. "≥10 cm, SLR ≥15, inget regn"
+ */
+function describeCustomRule(rule) {
+  return [
+    `≥${rule.minCm} cm`,
+    rule.minSlr ? `SLR ≥${rule.minSlr}` : null,
+    rule.noRain ? 'inget regn' : null
+  ].filter(Boolean).join(', ');
+}
+
+/**
+ * Check rules against the last 24 hours per station
+ * A rule notifies when it starts matching; while it keeps matching it stays quiet.
+ * @param {Array<Object>} rules - Saved rules
+ * @param {Object} summaries - summarizeHours result per station key (missing stations are skipped)
+ * @param {Array<string>} matching - Ids of the rules that matched at the previous check
+ * @returns {{ notify: Array<Object>, matching: Array<string> }} Rules to notify about, and the ids matching now
+ */
+function evaluateCustomAlerts(rules, summaries, matching = []) {
+  const matchingNow = rules.filter(rule => summaries[rule.station] && matchesCustomRule(rule, summaries[rule.station]));
+  return {
+    notify: matchingNow.filter(rule => !matching.includes(rule.id)),
+    matching: matchingNow.map(rule => rule.id)
+  };
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CUSTOM_ALERTS_STORAGE_KEY,
+    CUSTOM_ALERTS_SYNC_TAG,
+    CUSTOM_ALERTS_CHECK_INTERVAL_MS,
+    summarizeHours,
+    matchesCustomRule,
+    describeCustomRule,
+    evaluateCustomAlerts
+  };
+}
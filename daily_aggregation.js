@@ -0,0 +1,300 @@
+const {
+  calculateSnowfallForHour,
+  SLR_MODELS,
+  DEFAULT_SLR_MODEL,
+  DEFAULT_GAUGE_SHIELD,
+  DEFAULT_WET_BULB_METHOD,
+  getSnowColumn
+} = require('./snowfall.js');
+
+/**
+ * Shared hourly -> daily aggregation for fetch_data.js (current season)
+ * and aggregate_historic.js (historic seasons).
+ *
+ * Hourly records look like:
+ *   { timestamp, temperature, precipitation, wind_speed, humidity, dew_point, pressure, present_weather, ...,
+ *     quality: { precipitation: 'Y' } }
+ * where quality holds SMHI quality codes per parameter (G = kontrollerade och godkända,
+ * anything else = misstänkta eller ogranskade värden).
+ */
+
+// SLR models besides the default, which get their own snow_cm_<model> and slr_<model> columns
+const ALTERNATIVE_SLR_MODELS = Object.keys(SLR_MODELS).filter(model => model !== DEFAULT_SLR_MODEL);
+
+// Snow and rain are kept apart so a day with both keeps its snow:
+// snow_cm/snow_hours from hours with snow, rain_mm/rain_hours from hours with rain.
+// Hours in the rain/snow transition band split their precipitation and count in both.
+// snow_cm and slr come from the default SLR model and the measured precipitation;
+// snow_cm_corrected is the same snowfall with the precipitation corrected for gauge undercatch in wind.
+// wet_bulb_method records which wet bulb the day was computed with, so seasons computed differently can be told apart
+const AGGREGATED_COLUMNS = [
+  'date',
+  'snow_cm',
+  ...ALTERNATIVE_SLR_MODELS.map(model => getSnowColumn(model)),
+  'snow_cm_corrected',
+  'rain_mm',
+  'snow_hours',
+  'rain_hours',
+  'slr',
+  ...ALTERNATIVE_SLR_MODELS.map(model => `slr_${model}`),
+  'temp_max',
+  'temp_min',
+  'humidity_avg',
+  'snow_depth_cm',
+  'snowpack_cm',
+  'drift_index',
+  'drift_direction',
+  'surface',
+  'fluff_score',
+  'suspect_hours',
+  'wet_bulb_method',
+  'accumulated_snowfall_cm'
+];
+
+// How values with quality other than G are handled:
+// - drop: treated as missing
+// - keep: used as if they were approved
+// - flag: used, and the hour is counted in suspect_hours
+const QUALITY_POLICIES = ['drop', 'keep', 'flag'];
+const DEFAULT_QUALITY_POLICY = 'flag';
+
+// Parameters that go into the snowfall calculation
+const SNOWFALL_PARAMETERS = ['temperature', 'precipitation', 'wind_speed', 'humidity', 'dew_point', 'pressure', 'present_weather'];
+
+/**
+ * Get hour in CET timezone (handles both CET and CEST)
+ */
+function getHourInCET(date) {
+  // Use Intl.DateTimeFormat to get time in Europe/Stockholm timezone (CET/CEST)
+  // hourCycle h23 formats midnight as 0 (hour12: false gives 24 in Node)
+  const formatter = new Intl.DateTimeFormat('en', {
+    timeZone: 'Europe/Stockholm',
+    hour: 'numeric',
+    hourCycle: 'h23'
+  });
+  return parseInt(formatter.format(date));
+}
+
+/**
+ * Get date string in CET timezone for day grouping
+ */
+function getDateKeyInCET(date) {
+  const formatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'Europe/Stockholm',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  });
+  return formatter.format(date); // Returns YYYY-MM-DD format
+}
+
+/**
+ * Get the meteorological day (8 AM CET - 8 AM CET next day) an hourly timestamp belongs to
+ * @returns {string} Date key YYYY-MM-DD
+ */
+function getMetDayKey(date) {
+  // If before 8 AM CET, it belongs to previous day
+  if (getHourInCET(date) < 8) {
+    const prevDay = new Date(date);
+    prevDay.setDate(prevDay.getDate() - 1);
+    return getDateKeyInCET(prevDay);
+  }
+  return getDateKeyInCET(date);
+}
+
+/**
+ * Is this SMHI quality code anything but approved (G)?
+ * Missing codes (e.g. rows stored before quality was tracked) are not suspect.
+ */
+function isSuspectQuality(code) {
+  return Boolean(code) && code !== 'G';
+}
+
+/**
+ * Apply quality policy to one hourly record
+ * @returns {{ hour: Object, suspect: boolean }} hour with suspect values removed for 'drop'
+ */
+function applyQualityPolicy(hour, policy) {
+  if (policy === 'keep') {
+    return { hour, suspect: false };
+  }
+
+  const suspectParameters = SNOWFALL_PARAMETERS.filter(key =>
+    hour[key] !== undefined && isSuspectQuality(hour.quality?.[key])
+  );
+  if (suspectParameters.length === 0) {
+    return { hour, suspect: false };
+  }
+
+  if (policy === 'drop') {
+    const cleaned = { ...hour };
+    suspectParameters.forEach(key => delete cleaned[key]);
+    return { hour: cleaned, suspect: true };
+  }
+
+  return { hour, suspect: true };
+}
+
+/**
+ * Aggregate hourly records into daily rows (8 AM CET - 8 AM CET)
+ * @param {Array<Object>} hourlyData - Hourly records (timestamp as Date or ISO string)
+ * @param {Object} options
+ * @param {string} options.qualityPolicy - 'drop', 'keep' or 'flag' (default 'flag')
+ * @param {Set<string>|null} options.onlyDays - Only aggregate these met-days (YYYY-MM-DD)
+ * @param {number} options.elevation - Station elevation (m), for the station pressure in the wet bulb
+ * @param {string} options.wetBulbMethod - Wet-bulb method (key in WET_BULB_METHODS), stored in wet_bulb_method
+ * @returns {Array<Object>} Daily rows sorted by date (without accumulated_snowfall_cm),
+ *   with snow_cm_<model>/slr_<model> for every SLR model besides the default
+ */
+function aggregateDailyRows(hourlyData, {
+  qualityPolicy = DEFAULT_QUALITY_POLICY,
+  onlyDays = null,
+  elevation = 0,
+  wetBulbMethod = DEFAULT_WET_BULB_METHOD
+} = {}) {
+  const dailyTotals = {};
+
+  for (const record of hourlyData) {
+    const dayKey = getMetDayKey(new Date(record.timestamp));
+    if (onlyDays && !onlyDays.has(dayKey)) continue;
+
+    if (!dailyTotals[dayKey]) {
+      dailyTotals[dayKey] = {
+        total: 0,
+        weightedSlr: 0,
+        totalAmount: 0,
+        correctedTotal: 0,
+        models: Object.fromEntries(ALTERNATIVE_SLR_MODELS.map(model => [model, { total: 0, weightedSlr: 0 }])),
+        rain: 0,
+        snowHours: 0,
+        rainHours: 0,
+        suspectHours: 0,
+        temperatures: [],
+        humidities: [],
+        snowDepth: null // Latest observed depth in the met-day: { time, value }
+      };
+    }
+    const day = dailyTotals[dayKey];
+
+    const { hour, suspect } = applyQualityPolicy(record, qualityPolicy);
+    if (suspect) {
+      day.suspectHours++;
+    }
+
+    // Collect temperature and humidity for daily aggregation
+    if (hour.temperature !== undefined) {
+      day.temperatures.push(hour.temperature);
+    }
+    if (hour.humidity !== undefined && hour.humidity > 0) {
+      day.humidities.push(hour.humidity);
+    }
+
+    // Observed snow depth (SMHI, meters). The 06 UTC reading is the depth at the end of the met-day.
+    const depthDropped = qualityPolicy === 'drop' && isSuspectQuality(record.quality?.snow_depth);
+    if (record.snow_depth !== undefined && !depthDropped) {
+      const time = new Date(record.timestamp).getTime();
+      if (!day.snowDepth || time > day.snowDepth.time) {
+        day.snowDepth = { time, value: record.snow_depth };
+      }
+    }
+
+    if (hour.temperature === undefined || hour.precipitation === undefined) continue;
+    if (!(hour.precipitation > 0)) continue;
+
+    // Missing wind and humidity default to 0 m/s and 90%, see calculateSnowfallForHour
+    const snowCalc = calculateSnowfallForHour(hour, { elevation, wetBulbMethod });
+
+    // The rain part adds to rain_mm, the snow part to snow_cm
+    if (snowCalc.rainMm > 0) {
+      day.rain += snowCalc.rainMm;
+      day.rainHours++;
+    }
+    if (snowCalc.snowFraction > 0) {
+      day.snowHours++;
+      if (!isNaN(snowCalc.amount) && snowCalc.amount > 0) {
+        day.total += snowCalc.amount;
+        // Weighted average SLR (weighted by snowfall amount)
+        day.weightedSlr += snowCalc.slr * snowCalc.amount;
+        day.totalAmount += snowCalc.amount;
+      }
+
+      // Snowfall from precipitation corrected for wind undercatch (see getCatchEfficiency)
+      const correctedCalc = calculateSnowfallForHour(hour, { elevation, wetBulbMethod, catchCorrection: DEFAULT_GAUGE_SHIELD });
+      if (correctedCalc.amount > 0) {
+        day.correctedTotal += correctedCalc.amount;
+      }
+
+      // Same hour with the other SLR models (the rain/snow split is shared by all models)
+      ALTERNATIVE_SLR_MODELS.forEach(model => {
+        const modelCalc = calculateSnowfallForHour(hour, { elevation, wetBulbMethod, model });
+        if (modelCalc.amount > 0) {
+          day.models[model].total += modelCalc.amount;
+          day.models[model].weightedSlr += modelCalc.slr * modelCalc.amount;
+        }
+      });
+    }
+  }
+
+  return Object.keys(dailyTotals).sort().map(date => {
+    const day = dailyTotals[date];
+
+    const tempMax = day.temperatures.length > 0
+      ? Math.max(...day.temperatures).toFixed(1)
+      : '';
+    const tempMin = day.temperatures.length > 0
+      ? Math.min(...day.temperatures).toFixed(1)
+      : '';
+
+    // Same 90% default as the snowfall calculation when humidity is missing
+    const humidityAvg = day.humidities.length > 0
+      ? (day.humidities.reduce((sum, h) => sum + h, 0) / day.humidities.length).toFixed(1)
+      : '90.0';
+
+    const avgSlr = day.totalAmount > 0 ? (day.weightedSlr / day.totalAmount).toFixed(1) : '0';
+
+    const modelColumns = {};
+    ALTERNATIVE_SLR_MODELS.forEach(model => {
+      const { total, weightedSlr } = day.models[model];
+      modelColumns[getSnowColumn(model)] = total.toFixed(2);
+      modelColumns[`slr_${model}`] = total > 0 ? (weightedSlr / total).toFixed(1) : '0';
+    });
+
+    return {
+      date,
+      snow_cm: day.total.toFixed(2),
+      rain_mm: day.rain.toFixed(1),
+      snow_hours: String(day.snowHours),
+      rain_hours: String(day.rainHours),
+      slr: avgSlr,
+      ...modelColumns,
+      snow_cm_corrected: day.correctedTotal.toFixed(2),
+      temp_max: tempMax,
+      temp_min: tempMin,
+      humidity_avg: humidityAvg,
+      snow_depth_cm: day.snowDepth ? (day.snowDepth.value * 100).toFixed(0) : '',
+      suspect_hours: String(day.suspectHours),
+      wet_bulb_method: wetBulbMethod
+    };
+  });
+}
+
+/**
+ * Format a daily row as an aggregated CSV line (columns in AGGREGATED_COLUMNS order)
+ */
+function formatDailyRow(row) {
+  return AGGREGATED_COLUMNS.map(column => row[column] ?? '').join(',');
+}
+
+module.exports = {
+  AGGREGATED_COLUMNS,
+  ALTERNATIVE_SLR_MODELS,
+  QUALITY_POLICIES,
+  DEFAULT_QUALITY_POLICY,
+  getHourInCET,
+  getDateKeyInCET,
+  getMetDayKey,
+  isSuspectQuality,
+  applyQualityPolicy,
+  aggregateDailyRows,
+  formatDailyRow
+};
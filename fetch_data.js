@@ -1,15 +1,77 @@
 const fs = require('fs');
 const path = require('path');
-const { calculateSnowfall } = require('./snowfall.js');
 const { addAccumulatedSnowfall } = require('./accumulation.js');
-const { STATION_ID, PARAMETER_CODES, parseSMHITimestamp, parseSMHIEntry, fetchSMHIData } = require('./smhi_api.js');
+const { addSnowpackDepth } = require('./snowpack.js');
+const { addDriftIndex, updateWindRoses } = require('./wind.js');
+const { addSurfaceCondition } = require('./surface.js');
+const { addFluffScore } = require('./fluffiness.js');
+const { WET_BULB_METHODS, DEFAULT_WET_BULB_METHOD } = require('./snowfall.js');
+const {
+  AGGREGATED_COLUMNS,
+  QUALITY_POLICIES,
+  DEFAULT_QUALITY_POLICY,
+  getMetDayKey,
+  aggregateDailyRows,
+  formatDailyRow
+} = require('./daily_aggregation.js');
+const {
+  PARAMETER_CODES,
+  OPTIONAL_PARAMETERS,
+  parseSMHITimestamp,
+  parseSMHIEntry,
+  parseSMHIArchiveCSV,
+  fetchSMHIData,
+  fetchSMHIArchiveCSV
+} = require('./smhi_api.js');
+const { STATIONS, getDefaultStation, getStationDataDir, parseStationArg } = require('./stations.js');
+const {
+  getCurrentSeasonStartYear,
+  getWinterSeasonStartYear,
+  getSeasonDateRange,
+  getSeasonFilename
+} = require('./seasons.js');
+const { calculateDailyAggregates, writeAggregatedFiles } = require('./aggregate_historic.js');
+const { readCsvRows } = require('./csv.js');
+const { getArgValue } = require('./args.js');
+const { calculateHourlyCoverage, updateSeasonCatalog } = require('./season_catalog.js');
 
-const DATA_DIR = path.join(__dirname, 'data');
-const WEATHER_DATA_FILE = path.join(DATA_DIR, 'weather_data.csv');
-const AGGREGATED_DATA_FILE = path.join(DATA_DIR, 'aggregated_data.csv');
+const HOURLY_COLUMNS = ['timestamp', 'temperature', 'precipitation', 'wind_direction', 'wind_speed', 'humidity', 'visibility', 'snow_depth', 'dew_point', 'pressure', 'present_weather', 'quality'];
+const HOURLY_HEADER = HOURLY_COLUMNS.join(',') + '\n';
+const AGGREGATED_HEADER = AGGREGATED_COLUMNS.join(',') + '\n';
+const REVISIONS_HEADER = 'fetched_at,timestamp,parameter,old_value,new_value\n';
+
+const HOUR_MS = 60 * 60 * 1000;
+// 'latest-months' covers roughly the last four months; older gaps need the corrected archive
+const LATEST_MONTHS_MAX_AGE_DAYS = 90;
+
+/**
+ * Get data file paths for a station (data/<station>/...)
+ */
+function getDataFiles(station) {
+  const dataDir = path.join(__dirname, getStationDataDir(station));
+  return {
+    dataDir,
+    weatherData: path.join(dataDir, 'weather_data.csv'),
+    aggregatedData: path.join(dataDir, 'aggregated_data.csv'),
+    revisionLog: path.join(dataDir, 'revisions.csv'),
+    historicDir: path.join(dataDir, 'historic')
+  };
+}
 
 // fetchSMHIData is now in smhi_api.js (shared)
 
+/**
+ * Log a failed parameter fetch
+ * Optional parameters (e.g. snow depth) are missing at many stations, so they are not errors
+ */
+function logParameterFailure(key, code, message) {
+  if (OPTIONAL_PARAMETERS.includes(key)) {
+    console.log(`Optional ${key} (parameter ${code}) not available: ${message}`);
+  } else {
+    console.error(`Failed to fetch ${key} (parameter ${code}): ${message}`);
+  }
+}
+
 /**
  * Fetch historical data from SMHI API for a specific parameter and date range
  * SMHI API supports 'latest-months' period which gives several months of data
@@ -56,51 +118,69 @@ function dateToISOString(date) {
 /**
  * Initialize CSV files with headers if they don't exist
  */
-function initializeCSVFiles() {
-  if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
+function initializeCSVFiles(station) {
+  const files = getDataFiles(station);
+  if (!fs.existsSync(files.dataDir)) {
+    fs.mkdirSync(files.dataDir, { recursive: true });
   }
 
   // Initialize weather_data.csv
-  if (!fs.existsSync(WEATHER_DATA_FILE)) {
-    const header = 'timestamp,temperature,precipitation,wind_direction,wind_speed,humidity,visibility\n';
-    fs.writeFileSync(WEATHER_DATA_FILE, header);
+  if (!fs.existsSync(files.weatherData)) {
+    fs.writeFileSync(files.weatherData, HOURLY_HEADER);
   }
 
   // Initialize aggregated_data.csv
-  if (!fs.existsSync(AGGREGATED_DATA_FILE)) {
-    const header = 'date,snowfall_cm,slr,temp_max,temp_min,humidity_avg,accumulated_snowfall_cm\n';
-    fs.writeFileSync(AGGREGATED_DATA_FILE, header);
+  if (!fs.existsSync(files.aggregatedData)) {
+    fs.writeFileSync(files.aggregatedData, AGGREGATED_HEADER);
   }
 }
 
 /**
- * Get existing data from CSV to avoid duplicates
+ * Organize SMHI API results ({ key, data } per parameter) by ISO timestamp
+ * @returns {Object} Map of timestamp -> { [parameterKey]: value, quality: { [parameterKey]: code } }
  */
-function getExistingTimestamps() {
-  if (!fs.existsSync(WEATHER_DATA_FILE)) {
-    return new Set();
-  }
-  
-  const content = fs.readFileSync(WEATHER_DATA_FILE, 'utf-8');
-  const lines = content.trim().split('\n').slice(1); // Skip header
-  const timestamps = new Set();
+function groupEntriesByTimestamp(results) {
+  const dataByTime = {};
   
-  for (const line of lines) {
-    if (line.trim()) {
-      const timestamp = line.split(',')[0];
-      timestamps.add(timestamp);
+  for (const { key, data } of results) {
+    if (data && data.value && Array.isArray(data.value)) {
+      for (const entry of data.value) {
+        // Use shared parsing function (now handles all timestamp formats)
+        const parsed = parseSMHIEntry(entry);
+        
+        if (!parsed) {
+          // If parsing fails, log a warning with entry details for debugging
+          console.warn(`Failed to parse entry for ${key}, skipping:`, JSON.stringify(entry));
+          continue;
+        }
+        
+        if (parsed && parsed.timestamp) {
+          // Validate that timestamp is a valid Date object (should already be validated in parseSMHIEntry)
+          if (!(parsed.timestamp instanceof Date) || isNaN(parsed.timestamp.getTime())) {
+            console.error(`Invalid timestamp for ${key} after parsing, skipping entry:`, entry);
+            continue;
+          }
+          
+          const timestampISO = parsed.timestamp.toISOString();
+          if (!dataByTime[timestampISO]) {
+            dataByTime[timestampISO] = { quality: {} };
+          }
+          dataByTime[timestampISO][key] = parsed.value;
+          if (parsed.quality) {
+            dataByTime[timestampISO].quality[key] = parsed.quality;
+          }
+        }
+      }
     }
   }
   
-  return timestamps;
+  return dataByTime;
 }
 
 /**
  * Fetch hourly data for the last 24-48 hours to ensure we capture the full day
  */
-async function fetchHourlyData() {
-  const existingTimestamps = getExistingTimestamps();
+async function fetchHourlyData(station) {
   const hourlyData = [];
   
   // Fetch data for each parameter - use 'latest-day' to get more data
@@ -109,21 +189,21 @@ async function fetchHourlyData() {
       // Try latest-day first, fallback to latest-hour if needed
       let data = null;
       try {
-        data = await fetchSMHIData(code, STATION_ID, 'latest-day');
+        data = await fetchSMHIData(code, station.id, 'latest-day');
       } catch (error) {
         // Try latest-hour as fallback
         try {
-          data = await fetchSMHIData(code, STATION_ID, 'latest-hour');
+          data = await fetchSMHIData(code, station.id, 'latest-hour');
         } catch (fallbackError) {
           // Parameter not available for this period
-          console.error(`Failed to fetch ${key} (parameter ${code}): ${fallbackError.message}`);
+          logParameterFailure(key, code, fallbackError.message);
           return { key, data: null };
         }
       }
       return { key, data };
       } catch (error) {
         // Parameter not available
-        console.error(`Failed to fetch ${key} (parameter ${code}): ${error.message}`);
+        logParameterFailure(key, code, error.message);
         return { key, data: null };
       }
   });
@@ -131,42 +211,11 @@ async function fetchHourlyData() {
   const results = await Promise.all(parameterPromises);
   
   // Organize data by timestamp
-  const dataByTime = {};
+  const dataByTime = groupEntriesByTimestamp(results);
   
-  for (const { key, data } of results) {
-    if (data && data.value && Array.isArray(data.value)) {
-      for (const entry of data.value) {
-        // Use shared parsing function (now handles all timestamp formats)
-        const parsed = parseSMHIEntry(entry);
-        
-        if (!parsed) {
-          // If parsing fails, log a warning with entry details for debugging
-          console.warn(`Failed to parse entry for ${key}, skipping:`, JSON.stringify(entry));
-          continue;
-        }
-        
-        if (parsed && parsed.timestamp) {
-          // Validate that timestamp is a valid Date object (should already be validated in parseSMHIEntry)
-          if (!(parsed.timestamp instanceof Date) || isNaN(parsed.timestamp.getTime())) {
-            console.error(`Invalid timestamp for ${key} after parsing, skipping entry:`, entry);
-            continue;
-          }
-          
-          const timestampISO = parsed.timestamp.toISOString();
-          if (!dataByTime[timestampISO]) {
-            dataByTime[timestampISO] = {};
-          }
-          dataByTime[timestampISO][key] = parsed.value;
-        }
-      }
-    }
-  }
-  
-  // Convert to array and filter out existing timestamps
+  // Convert to array - existing timestamps are kept so corrections can be detected (see upsertHourlyData)
   for (const [timestamp, values] of Object.entries(dataByTime)) {
-    // Only include records that have at least temperature and precipitation
-    if (timestamp && !existingTimestamps.has(timestamp) && 
-        values.temperature !== undefined && values.precipitation !== undefined) {
+    if (timestamp) {
       hourlyData.push({
         timestamp,
         ...values
@@ -178,294 +227,499 @@ async function fetchHourlyData() {
 }
 
 /**
- * Append hourly data to weather_data.csv
+ * Format quality codes for the quality column, e.g. "precipitation:Y;temperature:Y"
+ * Only codes other than G are stored, so an empty column means all values are approved
+ * (or were stored before quality codes were tracked).
  */
-function appendHourlyData(hourlyData) {
-  if (hourlyData.length === 0) {
-    console.log('No new hourly data to append');
-    return;
-  }
-  
-  const lines = hourlyData.map(data => {
-    return [
-      data.timestamp || '',
-      data.temperature ?? '',
-      data.precipitation ?? '',
-      data.wind_direction ?? '',
-      data.wind_speed ?? '',
-      data.humidity ?? '',
-      data.visibility ?? ''
-    ].join(',');
-  });
-  
-  fs.appendFileSync(WEATHER_DATA_FILE, lines.join('\n') + '\n');
-  console.log(`Appended ${hourlyData.length} new hourly records`);
+function formatQuality(quality = {}) {
+  return Object.entries(quality)
+    .filter(([, code]) => code && code !== 'G')
+    .map(([key, code]) => `${key}:${code}`)
+    .sort()
+    .join(';');
 }
 
 /**
- * Get hour in CET timezone (handles both CET and CEST)
- * CET is UTC+1, CEST is UTC+2 (last Sunday in March to last Sunday in October)
+ * Parse the quality column back into { [parameterKey]: code }
  */
-function getHourInCET(date) {
-  // Use Intl.DateTimeFormat to get time in Europe/Stockholm timezone (CET/CEST)
-  const formatter = new Intl.DateTimeFormat('en-US', {
-    timeZone: 'Europe/Stockholm',
-    hour: '2-digit',
-    hour12: false
-  });
-  return parseInt(formatter.format(date));
+function parseQuality(text) {
+  const quality = {};
+  if (!text) return quality;
+  for (const part of text.split(';')) {
+    const [key, code] = part.split(':');
+    if (key && code) {
+      quality[key] = code;
+    }
+  }
+  return quality;
 }
 
 /**
- * Get date string in CET timezone for day grouping
+ * Format one hourly record as a weather_data.csv line
  */
-function getDateKeyInCET(date) {
-  // Use Intl.DateTimeFormat to get date in Europe/Stockholm timezone (CET/CEST)
-  const formatter = new Intl.DateTimeFormat('en-CA', {
-    timeZone: 'Europe/Stockholm',
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit'
-  });
-  return formatter.format(date); // Returns YYYY-MM-DD format
+function formatHourlyRow(data) {
+  return HOURLY_COLUMNS.map(column =>
+    column === 'quality' ? formatQuality(data.quality) : (data[column] ?? '')
+  ).join(',');
 }
 
 /**
- * Calculate daily snowfall totals from hourly data
+ * Read weather_data.csv into a Map of timestamp -> hourly record
+ * Missing values are left out of the record (undefined); quality codes are in record.quality
  */
-function calculateDailySnowfall() {
-  if (!fs.existsSync(WEATHER_DATA_FILE)) {
-    console.log('No weather data file found');
-    return;
+function readHourlyData(station) {
+  const { weatherData } = getDataFiles(station);
+  const rows = new Map();
+  if (!fs.existsSync(weatherData)) {
+    return rows;
   }
-  
-  const content = fs.readFileSync(WEATHER_DATA_FILE, 'utf-8');
-  const lines = content.trim().split('\n').slice(1); // Skip header
-  
-  // Group by day (8 AM CET - 8 AM CET next day)
-  const dailyTotals = {};
-  
-  for (const line of lines) {
+
+  const lines = fs.readFileSync(weatherData, 'utf-8').trim().split('\n');
+  const headers = lines[0].split(',');
+
+  for (const line of lines.slice(1)) {
     if (!line.trim()) continue;
-    
-    const [timestamp, temp, precip, windDir, windSpeed, humidity, visibility] = line.split(',');
-    const temperature = parseFloat(temp);
-    const precipitation = parseFloat(precip);
-    const wind = parseFloat(windSpeed) || 0; // Default to 0 if missing
-    const hum = parseFloat(humidity) || 90; // Default to 90% if missing
-    
-    if (isNaN(temperature) || isNaN(precipitation)) continue;
-    
-    // Parse timestamp and determine which day it belongs to (8 AM CET - 8 AM CET next day)
-    const date = new Date(timestamp);
-    const hourCET = getHourInCET(date);
-    
-    // If before 8 AM CET, it belongs to previous day
-    let dayKey;
-    if (hourCET < 8) {
-      const prevDay = new Date(date);
-      prevDay.setDate(prevDay.getDate() - 1);
-      dayKey = getDateKeyInCET(prevDay);
-    } else {
-      dayKey = getDateKeyInCET(date);
-    }
-    
-    if (!dailyTotals[dayKey]) {
-      dailyTotals[dayKey] = { 
-        total: 0, 
-        weightedSlr: 0, 
-        totalAmount: 0, 
-        hasRain: false,
-        temperatures: [],
-        humidities: []
-      };
-    }
-    
-    // Collect temperature and humidity for daily aggregation
-    if (!isNaN(temperature)) {
-      dailyTotals[dayKey].temperatures.push(temperature);
+
+    const values = line.split(',');
+    const row = { timestamp: values[0], quality: {} };
+    headers.slice(1).forEach((header, index) => {
+      if (header === 'quality') {
+        row.quality = parseQuality(values[index + 1]);
+        return;
+      }
+      const value = parseFloat(values[index + 1]);
+      if (!isNaN(value)) {
+        row[header] = value;
+      }
+    });
+    rows.set(row.timestamp, row);
+  }
+
+  return rows;
+}
+
+/**
+ * Rewrite weather_data.csv from a Map of hourly records, sorted by timestamp
+ */
+function writeHourlyData(station, rows) {
+  const sorted = [...rows.values()].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const lines = sorted.map(formatHourlyRow);
+  fs.writeFileSync(getDataFiles(station).weatherData, HOURLY_HEADER + lines.join('\n') + '\n');
+}
+
+/**
+ * Insert new hours and update changed values in weather_data.csv
+ * SMHI publishes quality-controlled corrections after the fact, so incoming values for hours
+ * we already have are compared with the stored ones. Every change is logged in revisions.csv.
+ * @param {Object} station - Station from the registry
+ * @param {Array<Object>} hourlyData - Records { timestamp, [parameterKey]: value }
+ * @returns {{ added: number, updated: number, affectedDays: Set<string> }}
+ */
+function upsertHourlyData(station, hourlyData) {
+  const rows = readHourlyData(station);
+  const fetchedAt = new Date().toISOString();
+  const revisions = [];
+  const affectedDays = new Set();
+  let added = 0;
+  let updated = 0;
+
+  for (const { timestamp, quality = {}, ...values } of hourlyData) {
+    const existing = rows.get(timestamp);
+
+    if (!existing) {
+      // Only include new records that have at least temperature and precipitation
+      if (values.temperature === undefined || values.precipitation === undefined) continue;
+      rows.set(timestamp, { timestamp, ...values, quality });
+      affectedDays.add(getMetDayKey(new Date(timestamp)));
+      added++;
+      continue;
     }
-    if (!isNaN(hum) && hum > 0) {
-      dailyTotals[dayKey].humidities.push(hum);
+
+    let changed = false;
+    for (const [key, value] of Object.entries(values)) {
+      if (existing[key] !== value) {
+        revisions.push({ fetchedAt, timestamp, parameter: key, oldValue: existing[key], newValue: value });
+        existing[key] = value;
+        changed = true;
+      }
+
+      // Quality changes (e.g. Y -> G after SMHI's quality control) are logged as "<parameter>:quality"
+      const oldCode = existing.quality[key] || 'G';
+      const newCode = quality[key] || 'G';
+      if (oldCode !== newCode) {
+        revisions.push({ fetchedAt, timestamp, parameter: `${key}:quality`, oldValue: oldCode, newValue: newCode });
+        existing.quality[key] = newCode;
+        changed = true;
+      }
     }
-    
-    const snowCalc = calculateSnowfall(temperature, precipitation, wind, hum);
-    // Check if it's rain (slr === -1, or amount is negative which indicates rain)
-    if (snowCalc.slr === -1 || snowCalc.amount < 0) {
-      dailyTotals[dayKey].hasRain = true;
-    } else if (!isNaN(snowCalc.amount) && snowCalc.amount > 0) {
-      dailyTotals[dayKey].total += snowCalc.amount;
-      // Weighted average SLR (weighted by snowfall amount)
-      dailyTotals[dayKey].weightedSlr += snowCalc.slr * snowCalc.amount;
-      dailyTotals[dayKey].totalAmount += snowCalc.amount;
+    if (changed) {
+      affectedDays.add(getMetDayKey(new Date(timestamp)));
+      updated++;
     }
   }
-  
-  // Build rows with daily metrics
-  const rows = Object.keys(dailyTotals).sort().map(date => {
-    const day = dailyTotals[date];
-
-    const tempMax = day.temperatures.length > 0 
-      ? Math.max(...day.temperatures).toFixed(1) 
-      : '';
-    const tempMin = day.temperatures.length > 0 
-      ? Math.min(...day.temperatures).toFixed(1) 
-      : '';
-
-    const humidityAvg = day.humidities.length > 0
-      ? (day.humidities.reduce((sum, h) => sum + h, 0) / day.humidities.length).toFixed(1)
-      : '';
-
-    if (day.hasRain) {
-      return {
-        date,
-        snowfall_cm: '-1',
-        slr: '-1',
-        temp_max: tempMax,
-        temp_min: tempMin,
-        humidity_avg: humidityAvg,
-      };
-    }
 
-    const avgSlr = day.totalAmount > 0 ? (day.weightedSlr / day.totalAmount).toFixed(1) : '0';
-    return {
-      date,
-      snowfall_cm: day.total.toFixed(2),
-      slr: avgSlr,
-      temp_max: tempMax,
-      temp_min: tempMin,
-      humidity_avg: humidityAvg,
-    };
+  if (added > 0 || updated > 0) {
+    writeHourlyData(station, rows);
+  }
+  appendRevisions(station, revisions);
+
+  console.log(`Hourly data: ${added} new, ${updated} updated (${revisions.length} changed values)`);
+  return { added, updated, affectedDays };
+}
+
+/**
+ * Append value changes to the revision log (revisions.csv)
+ * Columns: fetched_at,timestamp,parameter,old_value,new_value (old_value empty = value was missing)
+ */
+function appendRevisions(station, revisions) {
+  if (revisions.length === 0) return;
+
+  const { revisionLog } = getDataFiles(station);
+  if (!fs.existsSync(revisionLog)) {
+    fs.writeFileSync(revisionLog, REVISIONS_HEADER);
+  }
+
+  const lines = revisions.map(revision => [
+    revision.fetchedAt,
+    revision.timestamp,
+    revision.parameter,
+    revision.oldValue ?? '',
+    revision.newValue ?? ''
+  ].join(','));
+  fs.appendFileSync(revisionLog, lines.join('\n') + '\n');
+}
+
+/**
+ * Read aggregated_data.csv into an array of row objects
+ */
+function readAggregatedRows(station) {
+  return readCsvRows(getDataFiles(station).aggregatedData);
+}
+
+/**
+ * Calculate daily snowfall totals from hourly data
+ * @param {Object} station - Station from the registry
+ * @param {Set<string>|null} onlyDays - If set, only these met-days (YYYY-MM-DD) are recomputed;
+ *   all other days are kept as they are in aggregated_data.csv
+ * @param {Object} options
+ * @param {string} options.qualityPolicy - How values with SMHI quality other than G are handled ('drop', 'keep', 'flag')
+ * @param {string} options.wetBulbMethod - Wet-bulb method (key in WET_BULB_METHODS)
+ */
+function calculateDailySnowfall(station, onlyDays = null, {
+  qualityPolicy = DEFAULT_QUALITY_POLICY,
+  wetBulbMethod = DEFAULT_WET_BULB_METHOD
+} = {}) {
+  const files = getDataFiles(station);
+  if (!fs.existsSync(files.weatherData)) {
+    console.log('No weather data file found');
+    return;
+  }
+
+  // Days computed with another wet bulb would leave the season mixed, so then every day is recomputed
+  const existingRows = onlyDays ? readAggregatedRows(station) : [];
+  const mixed = existingRows.some(row => row.wet_bulb_method !== wetBulbMethod);
+  if (mixed) {
+    console.log(`aggregated_data.csv has days not computed with the ${wetBulbMethod} wet bulb, recomputing all days`);
+  }
+  const recomputeDays = mixed ? null : onlyDays;
+  
+  // Group by day (8 AM CET - 8 AM CET next day)
+  const hourlyData = [...readHourlyData(station).values()];
+  const computedRows = aggregateDailyRows(hourlyData, {
+    qualityPolicy,
+    onlyDays: recomputeDays,
+    elevation: station.elevation,
+    wetBulbMethod
   });
+  const computedDays = new Set(computedRows.map(row => row.date));
+
+  // When recomputing selected days, keep all other days from the existing file
+  const rows = recomputeDays
+    ? [...existingRows.filter(row => !computedDays.has(row.date)), ...computedRows]
+    : computedRows;
+
+  // Modeled snowpack, drifting, surface and fluff score depend on earlier days, so they are recomputed for every row
+  const modelOptions = { qualityPolicy, elevation: station.elevation, wetBulbMethod };
+  let modeledRows = addSnowpackDepth(rows, hourlyData, modelOptions);
+  modeledRows = addDriftIndex(modeledRows, hourlyData, modelOptions);
+  modeledRows = addSurfaceCondition(modeledRows, hourlyData, modelOptions);
+  modeledRows = addFluffScore(modeledRows, hourlyData, modelOptions);
 
-  // Add accumulated snowfall, filtering out days before Nov 1, 2025
-  const accumulatedRows = addAccumulatedSnowfall(rows, {
+  // Add accumulated snowfall, filtering out days before the current season
+  // (finished seasons live in historic/, see archiveFinishedSeasons)
+  const seasonStart = getSeasonDateRange(getCurrentSeasonStartYear()).start;
+  const accumulatedRows = addAccumulatedSnowfall(modeledRows, {
     seasonStartMonth: 10, // November
     seasonStartDay: 1,
-    cutoffDate: '2025-11-01',
+    cutoffDate: seasonStart,
   });
 
-  const header = 'date,snowfall_cm,slr,temp_max,temp_min,humidity_avg,accumulated_snowfall_cm\n';
-  const dailyLines = accumulatedRows.map(row =>
-    `${row.date},${row.snowfall_cm},${row.slr},${row.temp_max},${row.temp_min},${row.humidity_avg},${row.accumulated_snowfall_cm}`
-  );
+  const dailyLines = accumulatedRows.map(formatDailyRow);
 
-  fs.writeFileSync(AGGREGATED_DATA_FILE, header + dailyLines.join('\n') + '\n');
-  console.log(`Updated daily aggregated data for ${dailyLines.length} days (filtered to Nov 1st, 2025 onwards)`);
+  fs.writeFileSync(files.aggregatedData, AGGREGATED_HEADER + dailyLines.map(line => line + '\n').join(''));
+  if (recomputeDays) {
+    console.log(`Recomputed ${computedRows.length} met-days, ${dailyLines.length} days in aggregated data`);
+  } else {
+    console.log(`Updated daily aggregated data for ${dailyLines.length} days (filtered to ${seasonStart} onwards)`);
+  }
 }
 
 /**
- * Bootstrap function to fetch historical data from a start date
+ * Archive finished seasons to historic/aggYYZZ.csv
+ * Seasons before the current one are aggregated from the hourly data. A season is written when it
+ * has ended, and rewritten when hours in it change afterwards (backfills, SMHI corrections).
+ * An existing archive is only rewritten if weather_data.csv has every day in it; archives built
+ * from raw downloads (aggregate_historic.js) usually aren't, and are reported as stale instead.
+ * @param {Object} station - Station from the registry
+ * @param {Object} options - qualityPolicy and wetBulbMethod, see calculateDailySnowfall
+ * @param {Set<string>} changedDays - Met-days (YYYY-MM-DD) whose hours were added or changed
+ * @returns {{ archived: Array<number>, refreshed: Array<number> }} Starting years of the newly
+ *   archived and of the rewritten seasons
  */
-async function bootstrapHistoricalData(startDate = '2025-10-01') {
-  try {
-    console.log(`Starting historical data bootstrap from ${startDate}...`);
-    initializeCSVFiles();
-    
-    // Clear existing data files to start fresh
-    console.log('Clearing existing data files...');
-    if (fs.existsSync(WEATHER_DATA_FILE)) {
-      const header = 'timestamp,temperature,precipitation,wind_direction,wind_speed,humidity,visibility\n';
-      fs.writeFileSync(WEATHER_DATA_FILE, header);
+function archiveFinishedSeasons(station, {
+  qualityPolicy = DEFAULT_QUALITY_POLICY,
+  wetBulbMethod = DEFAULT_WET_BULB_METHOD
+} = {}, changedDays = new Set()) {
+  const files = getDataFiles(station);
+  if (!fs.existsSync(files.weatherData)) {
+    return { archived: [], refreshed: [] };
+  }
+
+  const currentSeason = getCurrentSeasonStartYear();
+  const changedSeasons = new Set([...changedDays].map(day => getWinterSeasonStartYear(new Date(day))));
+  const hourlyData = [...readHourlyData(station).values()];
+  const aggregated = calculateDailyAggregates(hourlyData, qualityPolicy, station.elevation, wetBulbMethod);
+
+  const finished = {};
+  const refreshed = [];
+  for (const [season, rows] of Object.entries(aggregated)) {
+    const year = Number(season);
+    if (year >= currentSeason) continue;
+
+    const filePath = path.join(files.historicDir, getSeasonFilename(year));
+    if (!fs.existsSync(filePath)) {
+      finished[season] = rows;
+    } else if (changedSeasons.has(year)) {
+      const computedDays = new Set(rows.map(row => row.date));
+      const archivedRows = readCsvRows(filePath);
+      if (archivedRows.every(row => computedDays.has(row.date))) {
+        finished[season] = rows;
+        refreshed.push(year);
+      } else {
+        console.warn(`Hours changed in ${year}-${year + 1}, but ${getSeasonFilename(year)} has days that aren't in weather_data.csv; ` +
+          `rerun aggregate_historic.js --station ${station.key} to update it`);
+      }
     }
-    if (fs.existsSync(AGGREGATED_DATA_FILE)) {
-      const header = 'date,snowfall_cm,slr,temp_max,temp_min,humidity_avg,accumulated_snowfall_cm\n';
-      fs.writeFileSync(AGGREGATED_DATA_FILE, header);
+  }
+
+  const archived = Object.keys(finished).map(Number).filter(year => !refreshed.includes(year));
+  if (archived.length > 0) {
+    console.log(`Archiving finished seasons: ${archived.map(year => `${year}-${year + 1}`).join(', ')}`);
+  }
+  if (refreshed.length > 0) {
+    console.log(`Rewriting changed seasons: ${refreshed.map(year => `${year}-${year + 1}`).join(', ')}`);
+  }
+  writeAggregatedFiles(files.historicDir, finished);
+  return { archived, refreshed };
+}
+
+/**
+ * Regenerate the season catalog (data/<station>/seasons.json) with hourly coverage
+ * from weather_data.csv
+ */
+function refreshSeasonCatalog(station) {
+  const hourlyData = [...readHourlyData(station).values()];
+  updateSeasonCatalog(station, { hourlyCoverage: calculateHourlyCoverage(hourlyData) });
+}
+
+/**
+ * Update the current season's wind rose (data/<station>/windrose.json) from weather_data.csv
+ * Earlier seasons come from the raw data (see aggregate_historic.js), except finished seasons
+ * whose archive was rewritten from weather_data.csv (see archiveFinishedSeasons)
+ * @param {Object} options - qualityPolicy and wetBulbMethod, see calculateDailySnowfall
+ * @param {Array<number>} refreshedSeasons - Starting years of the rewritten seasons
+ */
+function refreshWindRose(station, { qualityPolicy, wetBulbMethod } = {}, refreshedSeasons = []) {
+  const hourlyData = [...readHourlyData(station).values()];
+  updateWindRoses(station, hourlyData, {
+    qualityPolicy,
+    wetBulbMethod,
+    seasons: [...refreshedSeasons, getCurrentSeasonStartYear()]
+  });
+}
+
+/**
+ * Default bootstrap start: October 1st before the current season,
+ * so the hourly data has a month of lead-in before the season starts
+ */
+function getDefaultBootstrapStart() {
+  return `${getCurrentSeasonStartYear()}-10-01`;
+}
+
+/**
+ * Today's date (YYYY-MM-DD) in UTC, the default end of backfills
+ * Backfill ranges are UTC dates, like the timestamps in weather_data.csv (see findMissingHours).
+ */
+function getTodayUTC() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Find hours in [from, to] (dates, UTC) that are missing or lack temperature/precipitation
+ * Hours after the latest full hour are never considered missing.
+ * @param {Array<string>} refill - Columns that also make an hour count as missing when empty
+ *   (e.g. humidity in rows fetched before it was stored)
+ * @returns {Array<string>} ISO timestamps, ascending
+ */
+function findMissingHours(rows, from, to, refill = []) {
+  const start = new Date(`${from}T00:00:00Z`).getTime();
+  const latestFullHour = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+  const end = Math.min(new Date(`${to}T23:00:00Z`).getTime(), latestFullHour);
+
+  const missing = [];
+  for (let time = start; time <= end; time += HOUR_MS) {
+    const timestamp = new Date(time).toISOString();
+    const row = rows.get(timestamp);
+    if (!row || row.temperature === undefined || row.precipitation === undefined
+      || refill.some(column => row[column] === undefined)) {
+      missing.push(timestamp);
     }
-    
-    console.log('Fetching historical hourly data from SMHI API...');
-    const existingTimestamps = new Set(); // Empty set for bootstrap
-    const hourlyData = [];
-    
-    // Fetch data for each parameter using historical endpoint
-    const parameterPromises = Object.entries(PARAMETER_CODES).map(async ([key, code]) => {
-      try {
-        const data = await fetchSMHIHistoricalData(code, STATION_ID, startDate);
-        return { key, data };
-      } catch (error) {
-        // Log error for missing parameters - they may not be available for this station
-        console.error(`Failed to fetch ${key} (parameter ${code}): ${error.message}`);
-        return { key, data: null };
+  }
+  return missing;
+}
+
+/**
+ * Fetch values for the given missing hours, per parameter
+ * Uses 'latest-months' and, for gaps older than that covers, the corrected archive.
+ * @returns {Object} Map of timestamp -> { [parameterKey]: value, quality }, only for missing hours
+ */
+async function fetchMissingHours(station, missingHours) {
+  const missing = new Set(missingHours);
+  const oldestMissing = new Date(missingHours[0]);
+  const needsArchive = Date.now() - oldestMissing.getTime() > LATEST_MONTHS_MAX_AGE_DAYS * 24 * HOUR_MS;
+
+  const parameterPromises = Object.entries(PARAMETER_CODES).map(async ([key, code]) => {
+    const values = {};
+
+    try {
+      const data = await fetchSMHIHistoricalData(code, station.id, oldestMissing);
+      const byTime = groupEntriesByTimestamp([{ key, data }]);
+      for (const [timestamp, entry] of Object.entries(byTime)) {
+        values[timestamp] = { value: entry[key], quality: entry.quality[key] };
       }
-    });
-    
-    const results = await Promise.all(parameterPromises);
-    
-    // Organize data by timestamp
-    const dataByTime = {};
-    
-    for (const { key, data } of results) {
-      if (data && data.value && Array.isArray(data.value)) {
-        for (const entry of data.value) {
-          // Use shared parsing function (now handles all timestamp formats)
-          const parsed = parseSMHIEntry(entry);
-          
-          if (!parsed) {
-            // If parsing fails, log a warning with entry details for debugging
-            console.warn(`Failed to parse entry for ${key}, skipping:`, JSON.stringify(entry));
-            continue;
-          }
-          
-          if (parsed && parsed.timestamp) {
-            // Validate that timestamp is a valid Date object (should already be validated in parseSMHIEntry)
-            if (!(parsed.timestamp instanceof Date) || isNaN(parsed.timestamp.getTime())) {
-              console.error(`Invalid timestamp for ${key} after parsing, skipping entry:`, entry);
-              continue;
-            }
-            
-            // Filter by start date
-            const start = new Date(startDate);
-            if (parsed.timestamp < start) {
-              continue;
-            }
-            
-            const timestampISO = parsed.timestamp.toISOString();
-            if (!dataByTime[timestampISO]) {
-              dataByTime[timestampISO] = {};
-            }
-            dataByTime[timestampISO][key] = parsed.value;
+    } catch (error) {
+      logParameterFailure(key, code, error.message);
+    }
+
+    if (needsArchive) {
+      try {
+        const csvText = await fetchSMHIArchiveCSV(code, station.id);
+        for (const { timestamp, value, quality } of parseSMHIArchiveCSV(csvText)) {
+          const timestampISO = timestamp.toISOString();
+          // Prefer API values, the archive only fills what the API no longer has
+          if (values[timestampISO] === undefined) {
+            values[timestampISO] = { value, quality };
           }
         }
+      } catch (error) {
+        logParameterFailure(key, code, `archive: ${error.message}`);
       }
     }
-    
-    // Convert to array and filter for complete records
-    for (const [timestampISO, values] of Object.entries(dataByTime)) {
-      if (timestampISO && values.temperature !== undefined && values.precipitation !== undefined) {
-        hourlyData.push({
-          timestamp: timestampISO,
-          ...values
-        });
+
+    return { key, values };
+  });
+
+  const results = await Promise.all(parameterPromises);
+
+  const dataByTime = {};
+  for (const { key, values } of results) {
+    for (const [timestamp, { value, quality }] of Object.entries(values)) {
+      if (!missing.has(timestamp)) continue;
+      if (!dataByTime[timestamp]) {
+        dataByTime[timestamp] = { quality: {} };
+      }
+      dataByTime[timestamp][key] = value;
+      if (quality) {
+        dataByTime[timestamp].quality[key] = quality;
       }
     }
-    
-    // Sort by timestamp
-    hourlyData.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-    
-    console.log(`Fetched ${hourlyData.length} historical hourly records`);
-    
-    if (hourlyData.length > 0) {
-      // Write all data at once (not append)
-      const header = 'timestamp,temperature,precipitation,wind_direction,wind_speed,humidity,visibility\n';
-      const lines = hourlyData.map(data => {
-        return [
-          data.timestamp || '',
-          data.temperature ?? '',
-          data.precipitation ?? '',
-          data.wind_direction ?? '',
-          data.wind_speed ?? '',
-          data.humidity ?? '',
-          data.visibility ?? ''
-        ].join(',');
-      });
-      
-      fs.writeFileSync(WEATHER_DATA_FILE, header + lines.join('\n') + '\n');
-      console.log(`Wrote ${hourlyData.length} historical records to weather_data.csv`);
+  }
+  return dataByTime;
+}
+
+/**
+ * Backfill missing hours in weather_data.csv for a date range, without touching existing values
+ * Only the met-days that received new data are recomputed in aggregated_data.csv, and the archives
+ * of finished seasons that received new data are rewritten.
+ * @param {Object} station - Station from the registry
+ * @param {string} from - First date (YYYY-MM-DD, UTC)
+ * @param {string} to - Last date (YYYY-MM-DD, UTC)
+ * @param {Object} options - qualityPolicy and wetBulbMethod for the daily totals (see calculateDailySnowfall),
+ *   and refill: columns to fill in existing hours as well (see findMissingHours)
+ * @returns {Promise<Set<string>>} Met-days (YYYY-MM-DD) that received new hours
+ */
+async function backfillHourlyData(station, from, to, { refill = [], ...options } = {}) {
+  console.log(`Backfilling ${station.name} from ${from} to ${to}...`);
+  initializeCSVFiles(station);
+
+  const rows = readHourlyData(station);
+  const missingHours = findMissingHours(rows, from, to, refill);
+  if (missingHours.length === 0) {
+    console.log('No missing hours found');
+    return new Set();
+  }
+  console.log(`Found ${missingHours.length} missing hours (first: ${missingHours[0]}, last: ${missingHours[missingHours.length - 1]})`);
+
+  const dataByTime = await fetchMissingHours(station, missingHours);
+
+  // Merge in place: only fill values that are missing in the existing rows
+  const affectedDays = new Set();
+  let filledHours = 0;
+  for (const [timestamp, { quality, ...values }] of Object.entries(dataByTime)) {
+    const row = rows.get(timestamp) || { timestamp, quality: {} };
+    let changed = false;
+    for (const [key, value] of Object.entries(values)) {
+      if (row[key] === undefined) {
+        row[key] = value;
+        if (quality[key]) {
+          row.quality[key] = quality[key];
+        }
+        changed = true;
+      }
     }
-    
-    console.log('Calculating daily snowfall totals...');
-    calculateDailySnowfall();
-    
+
+    // Same rule as the daily fetch: an hour needs at least temperature and precipitation
+    if (!changed || row.temperature === undefined || row.precipitation === undefined) continue;
+
+    rows.set(timestamp, row);
+    affectedDays.add(getMetDayKey(new Date(timestamp)));
+    filledHours++;
+  }
+
+  if (filledHours === 0) {
+    console.log('SMHI had no data for the missing hours');
+    return new Set();
+  }
+
+  writeHourlyData(station, rows);
+  console.log(`Filled ${filledHours} of ${missingHours.length} missing hours`);
+
+  console.log(`Recomputing ${affectedDays.size} affected met-days...`);
+  calculateDailySnowfall(station, affectedDays, options);
+  const { refreshed } = archiveFinishedSeasons(station, options, affectedDays);
+  refreshSeasonCatalog(station);
+  refreshWindRose(station, options, refreshed);
+  return affectedDays;
+}
+
+/**
+ * Bootstrap function to fetch historical data from a start date
+ * Existing hours are kept; only missing hours up to today are fetched.
+ */
+async function bootstrapHistoricalData(station, startDate = getDefaultBootstrapStart(), options = {}) {
+  try {
+    console.log(`Starting historical data bootstrap for ${station.name} from ${startDate}...`);
+    await backfillHourlyData(station, startDate, getTodayUTC(), options);
     console.log('Historical data bootstrap completed successfully!');
   } catch (error) {
     console.error('Error in bootstrap:', error);
@@ -475,22 +729,36 @@ async function bootstrapHistoricalData(startDate = '2025-10-01') {
 
 /**
  * Main function
+ * @param {Array<Object>} stations - Stations to fetch (defaults to all registered stations)
+ * @param {Object} options - qualityPolicy and wetBulbMethod for the daily totals, see calculateDailySnowfall
  */
-async function main() {
+async function main(stations = STATIONS, options = {}) {
   try {
-    console.log('Starting data fetch...');
-    initializeCSVFiles();
-    
-    console.log('Fetching hourly data from SMHI API...');
-    const hourlyData = await fetchHourlyData();
-    
-    if (hourlyData.length > 0) {
-      appendHourlyData(hourlyData);
+    for (const station of stations) {
+      console.log(`Starting data fetch for ${station.name} (station ${station.id})...`);
+      initializeCSVFiles(station);
+      
+      console.log('Fetching hourly data from SMHI API...');
+      const hourlyData = await fetchHourlyData(station);
+      const { affectedDays } = upsertHourlyData(station, hourlyData);
+      
+      // Move seasons that have ended to historic/ before they drop out of aggregated_data.csv,
+      // and rewrite finished seasons that got late hours (e.g. SMHI corrections)
+      const { archived, refreshed } = archiveFinishedSeasons(station, options, affectedDays);
+      if (archived.length > 0) {
+        console.log('Season rolled over, recalculating all daily snowfall totals...');
+        calculateDailySnowfall(station, null, options);
+      } else if (affectedDays.size > 0) {
+        console.log(`Recalculating daily snowfall totals for ${affectedDays.size} met-days...`);
+        calculateDailySnowfall(station, affectedDays, options);
+      } else {
+        console.log('No new or changed hours, daily totals unchanged');
+      }
+      
+      refreshSeasonCatalog(station);
+      refreshWindRose(station, options, refreshed);
     }
     
-    console.log('Calculating daily snowfall totals...');
-    calculateDailySnowfall();
-    
     console.log('Data fetch completed successfully!');
   } catch (error) {
     console.error('Error in main:', error);
@@ -502,13 +770,58 @@ async function main() {
 if (require.main === module) {
   // Check for bootstrap flag
   const args = process.argv.slice(2);
+
+  // Optional --station=<key> limits the run to one station
+  const station = parseStationArg(args);
+
+  // Optional --quality=drop|keep|flag decides how values SMHI has not approved (quality Y/R) are used
+  const qualityPolicy = args.find(arg => arg.startsWith('--quality='))?.split('=')[1] || DEFAULT_QUALITY_POLICY;
+  if (!QUALITY_POLICIES.includes(qualityPolicy)) {
+    console.error(`Unknown quality policy: ${qualityPolicy} (known: ${QUALITY_POLICIES.join(', ')})`);
+    process.exit(1);
+  }
+
+  // Optional --wet-bulb=<method> picks the wet bulb for the daily totals (see WET_BULB_METHODS in snowfall.js)
+  const wetBulbMethod = getArgValue(args, '--wet-bulb') || DEFAULT_WET_BULB_METHOD;
+  if (!WET_BULB_METHODS[wetBulbMethod]) {
+    console.error(`Unknown wet-bulb method: ${wetBulbMethod} (known: ${Object.keys(WET_BULB_METHODS).join(', ')})`);
+    process.exit(1);
+  }
+  const options = { qualityPolicy, wetBulbMethod };
+
   if (args.includes('--bootstrap') || args.includes('-b')) {
-    const startDate = args.find(arg => arg.startsWith('--start='))?.split('=')[1] || '2025-10-01';
-    bootstrapHistoricalData(startDate);
+    const startDate = getArgValue(args, '--start') || getDefaultBootstrapStart();
+    bootstrapHistoricalData(station || getDefaultStation(), startDate, options);
+  } else if (args.includes('--backfill')) {
+    // --backfill --from=YYYY-MM-DD [--to=YYYY-MM-DD], UTC dates (whole days 00:00-23:00 UTC)
+    const from = getArgValue(args, '--from');
+    const to = getArgValue(args, '--to') || getTodayUTC();
+    // Optional --refill=humidity,dew_point fills these parameters (PARAMETER_CODES keys) in hours that already exist
+    const refill = getArgValue(args, '--refill')?.split(',') || [];
+    const unknownColumn = refill.find(column => PARAMETER_CODES[column] === undefined);
+    if (!from || unknownColumn !== undefined) {
+      if (unknownColumn !== undefined) console.error(`Unknown column to refill: ${unknownColumn}`);
+      console.error('Usage: node fetch_data.js --backfill --from=YYYY-MM-DD [--to=YYYY-MM-DD] [--refill=<column>,...] [--station=<key>]');
+      console.error('--from and --to are UTC dates (00:00-23:00 UTC); --to defaults to today in UTC');
+      process.exit(1);
+    }
+    backfillHourlyData(station || getDefaultStation(), from, to, { ...options, refill }).catch(error => {
+      console.error('Error in backfill:', error);
+      process.exit(1);
+    });
   } else {
-    main();
+    main(station ? [station] : STATIONS, options);
   }
 }
 
-module.exports = { main, bootstrapHistoricalData, fetchSMHIData, calculateDailySnowfall };
+module.exports = {
+  main,
+  bootstrapHistoricalData,
+  backfillHourlyData,
+  fetchSMHIData,
+  calculateDailySnowfall,
+  archiveFinishedSeasons,
+  readHourlyData,
+  readAggregatedRows
+};
 
@@ -0,0 +1,170 @@
+const { calculateSnowfallForHour, DEFAULT_WET_BULB_METHOD } = require('./snowfall.js');
+const { getMetDayKey, getHourInCET, applyQualityPolicy, DEFAULT_QUALITY_POLICY } = require('./daily_aggregation.js');
+const { stepDrift } = require('./wind.js');
+const { SKI_HOUR } = require('./surface.js');
+
+/**
+ * Daily fluffiness score (0-10): is it fluffy?
+ *
+ * Scored at SKI_HOUR CET of every met-day (the same time as the surface label, surface.js)
+ * from the snow of the last 72 hours. Every hour of snow counts with its depth times
+ * - its age: full the last 24 h, AGE_WEIGHTS[1] for 24-48 h and AGE_WEIGHTS[2] for 48-72 h
+ * - the warmest temperature since it fell: full at WARM_LIMITS[0] °C or colder, MIN_WARM_FACTOR from WARM_LIMITS[1] °C
+ * - the wind since it fell: exp(-drift / DRIFT_SCALE) with the drift from wind.js
+ * - rain since it fell: RAIN_FACTOR
+ * The weighted depth saturates towards 10 (1 - exp(-cm / FRESH_SCALE_CM)) and is scaled by
+ * the quality of that snow, from MIN_QUALITY_FACTOR at SLR_RANGE[0] to 1 at SLR_RANGE[1].
+ */
+
+const WINDOW_HOURS = 72;
+const AGE_WEIGHTS = [1, 0.6, 0.3];
+const WARM_LIMITS = [-3, 1];
+const MIN_WARM_FACTOR = 0.2;
+const DRIFT_SCALE = 5;
+const RAIN_FACTOR = 0.2;
+// About 10 cm of good snow gives half the score, 30 cm 90%
+const FRESH_SCALE_CM = 13;
+const SLR_RANGE = [8, 18];
+const MIN_QUALITY_FACTOR = 0.4;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Prepare the hourly series: snowfall, rain and drift per hour, in time order
+ * Drift needs the loose snow carried over from earlier hours (see stepDrift in wind.js).
+ */
+function prepareHours(hourlyData, qualityPolicy, elevation, wetBulbMethod) {
+  const sorted = [...hourlyData].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const hours = [];
+  let looseSnow = 0;
+
+  for (const record of sorted) {
+    const { hour } = applyQualityPolicy(record, qualityPolicy);
+    if (hour.temperature === undefined) continue;
+
+    let snowCm = 0;
+    let slr = 0;
+    let rainMm = 0;
+    if (hour.precipitation > 0) {
+      const snowCalc = calculateSnowfallForHour(hour, { elevation, wetBulbMethod });
+      if (snowCalc.amount > 0) {
+        snowCm = snowCalc.amount;
+        slr = snowCalc.slr;
+      }
+      rainMm = snowCalc.rainMm;
+    }
+
+    const drift = stepDrift(looseSnow, hour, elevation, wetBulbMethod);
+    looseSnow = drift.looseSnow;
+
+    hours.push({
+      time: new Date(record.timestamp).getTime(),
+      temperature: hour.temperature,
+      snowCm,
+      slr,
+      rainMm,
+      drift: drift.drift
+    });
+  }
+  return hours;
+}
+
+/**
+ * Score the snow in the WINDOW_HOURS up to and including hours[end]
+ * @param {Array<Object>} hours - From prepareHours
+ * @param {number} end - Index of the hour to score at
+ * @returns {number} Score 0-10
+ */
+function scoreAt(hours, end) {
+  const endTime = hours[end].time;
+  let start = end;
+  while (start > 0 && endTime - hours[start - 1].time < WINDOW_HOURS * 3600000) {
+    start--;
+  }
+
+  let weightedCm = 0;
+  let weightedSlr = 0;
+  for (let i = start; i <= end; i++) {
+    if (!(hours[i].snowCm > 0)) continue;
+
+    // Everything that happened to this snow after it fell
+    let maxTemp = -Infinity;
+    let drift = 0;
+    let rained = false;
+    for (let j = i + 1; j <= end; j++) {
+      maxTemp = Math.max(maxTemp, hours[j].temperature);
+      drift += hours[j].drift;
+      rained = rained || hours[j].rainMm > 0;
+    }
+
+    const ageHours = (endTime - hours[i].time) / 3600000;
+    const ageWeight = AGE_WEIGHTS[Math.min(Math.floor(ageHours / 24), AGE_WEIGHTS.length - 1)];
+    const warmth = clamp((maxTemp - WARM_LIMITS[0]) / (WARM_LIMITS[1] - WARM_LIMITS[0]), 0, 1);
+    const warmFactor = 1 - warmth * (1 - MIN_WARM_FACTOR);
+    const windFactor = Math.exp(-drift / DRIFT_SCALE);
+    const rainFactor = rained ? RAIN_FACTOR : 1;
+
+    const weight = hours[i].snowCm * ageWeight * warmFactor * windFactor * rainFactor;
+    weightedCm += weight;
+    weightedSlr += weight * hours[i].slr;
+  }
+
+  if (weightedCm <= 0) return 0;
+
+  const slr = weightedSlr / weightedCm;
+  const quality = MIN_QUALITY_FACTOR +
+    (1 - MIN_QUALITY_FACTOR) * clamp((slr - SLR_RANGE[0]) / (SLR_RANGE[1] - SLR_RANGE[0]), 0, 1);
+  return 10 * (1 - Math.exp(-weightedCm / FRESH_SCALE_CM)) * quality;
+}
+
+/**
+ * Fluffiness score per met-day
+ * @param {Array<Object>} hourlyData - Hourly records (see daily_aggregation.js), any order
+ * @param {Object} options
+ * @param {string} options.qualityPolicy - 'drop', 'keep' or 'flag' (default 'flag')
+ * @param {number} options.elevation - Station elevation (m)
+ * @param {string} options.wetBulbMethod - Wet-bulb method (key in WET_BULB_METHODS)
+ * @returns {Map<string, number>} Score 0-10 per met-day (YYYY-MM-DD)
+ */
+function scoreFluffiness(hourlyData, {
+  qualityPolicy = DEFAULT_QUALITY_POLICY,
+  elevation = 0,
+  wetBulbMethod = DEFAULT_WET_BULB_METHOD
+} = {}) {
+  const hours = prepareHours(hourlyData, qualityPolicy, elevation, wetBulbMethod);
+
+  // Score at SKI_HOUR, or the latest hour of a day that isn't that far yet
+  const scoreHours = new Map();
+  const scored = new Set();
+  hours.forEach((hour, index) => {
+    const time = new Date(hour.time);
+    const dayKey = getMetDayKey(time);
+    if (scored.has(dayKey)) return;
+    scoreHours.set(dayKey, index);
+    if (getHourInCET(time) >= SKI_HOUR) {
+      scored.add(dayKey);
+    }
+  });
+
+  return new Map([...scoreHours.entries()].map(([date, index]) => [date, scoreAt(hours, index)]));
+}
+
+/**
+ * Add fluff_score (0-10, 1 decimal) to daily rows
+ * @param {Array<Object>} rows - Daily rows with at least { date }
+ * @param {Array<Object>} hourlyData - Hourly records
+ * @param {Object} options - See scoreFluffiness
+ * @returns {Array<Object>} rows with fluff_score (empty without hourly data)
+ */
+function addFluffScore(rows, hourlyData, options = {}) {
+  const scoreByDay = scoreFluffiness(hourlyData, options);
+  return rows.map(row => ({
+    ...row,
+    fluff_score: scoreByDay.has(row.date) ? scoreByDay.get(row.date).toFixed(1) : ''
+  }));
+}
+
+module.exports = {
+  scoreFluffiness,
+  addFluffScore
+};
@@ -0,0 +1,257 @@
+const fs = require('fs');
+const path = require('path');
+const { calculateSnowfallForHour, getSnowColumn } = require('./snowfall.js');
+const { ALTERNATIVE_SLR_MODELS, getMetDayKey, aggregateDailyRows } = require('./daily_aggregation.js');
+const { FORECAST_BASE_URL, fetchPointForecast } = require('./smhi_api.js');
+const { STATIONS, getStationDataDir, parseStationArg } = require('./stations.js');
+const { FORECAST_FILE } = require('./seasons.js');
+const { readCsvRows } = require('./csv.js');
+
+/**
+ * Point forecast with modeled snowfall.
+ *
+ * Fetches SMHI's point forecast (pmp3g) for the station position and runs every forecast hour
+ * through the same snowfall calculation as the observations. The forecast steps are hourly for
+ * the first days and then 3, 6 and 12 hours long; longer steps are split into hours, with the
+ * precipitation intensity held over the step and the other values interpolated.
+ * The result goes to data/<station>/forecast.json: the forecast hours and met-day totals in
+ * the same columns as aggregated_data.csv. Every run's met-day totals are also appended to
+ * data/<station>/forecast_archive.csv, for verification against the observations (verification.js).
+ *
+ * Usage:
+ *   node forecast.js [--station=<key>] [--base-url=<url>]
+ * The base URL can also be set with SMHI_FORECAST_URL, e.g. a local forecast_server.js.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const FORECAST_ARCHIVE_FILE = 'forecast_archive.csv';
+// lead_days: met-days after the met-day the run started in; hours: forecast hours in the met-day (24 = whole day)
+const FORECAST_ARCHIVE_COLUMNS = ['reference_time', 'date', 'lead_days', 'hours', 'snow_cm', 'rain_mm', 'slr'];
+
+// pmp3g parameter -> hourly record key (see HOURLY_COLUMNS in fetch_data.js)
+const FORECAST_PARAMETERS = {
+  t: 'temperature',        // °C
+  pmean: 'precipitation',  // Mean precipitation intensity (mm/h) over the step ending at validTime
+  ws: 'wind_speed',        // m/s
+  wd: 'wind_direction',    // degrees
+  r: 'humidity',           // %
+  msl: 'pressure',         // hPa, reduced to sea level like observation parameter 9
+  vis: 'visibility'        // km, stored in m like observation parameter 12
+};
+
+// Values that are interpolated between forecast steps (the rest keep the step's value)
+const INTERPOLATED_KEYS = ['temperature', 'wind_speed', 'humidity', 'pressure', 'visibility'];
+
+// Daily columns kept in forecast.json
+const FORECAST_DAY_COLUMNS = [
+  'date',
+  'snow_cm',
+  ...ALTERNATIVE_SLR_MODELS.map(model => getSnowColumn(model)),
+  'rain_mm',
+  'slr',
+  ...ALTERNATIVE_SLR_MODELS.map(model => `slr_${model}`),
+  'temp_max',
+  'temp_min'
+];
+
+/**
+ * Parse the forecast time series into steps
+ * @param {Object} forecast - pmp3g JSON
+ * @returns {Array<Object>} { timestamp: Date, temperature, precipitation, ... } in time order
+ */
+function parseForecastSteps(forecast) {
+  return (forecast.timeSeries || [])
+    .map(entry => {
+      const step = { timestamp: new Date(entry.validTime) };
+      for (const parameter of entry.parameters || []) {
+        const key = FORECAST_PARAMETERS[parameter.name];
+        const value = parameter.values?.[0];
+        if (!key || typeof value !== 'number') continue;
+        step[key] = key === 'visibility' ? value * 1000 : value;
+      }
+      return step;
+    })
+    .filter(step => !isNaN(step.timestamp.getTime()))
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Split forecast steps into hourly records
+ * A step covers the hours since the previous step; the first step counts as one hour.
+ * @param {Array<Object>} steps - From parseForecastSteps
+ * @returns {Array<Object>} Hourly records (timestamp = end of the hour, as in weather_data.csv)
+ */
+function expandToHours(steps) {
+  const hours = [];
+  steps.forEach((step, index) => {
+    const previous = steps[index - 1];
+    const stepHours = previous ? Math.round((step.timestamp - previous.timestamp) / HOUR_MS) : 1;
+
+    for (let k = stepHours - 1; k >= 0; k--) {
+      const hour = { ...step, timestamp: new Date(step.timestamp.getTime() - k * HOUR_MS) };
+      if (previous && k > 0) {
+        const factor = (stepHours - k) / stepHours;
+        INTERPOLATED_KEYS.forEach(key => {
+          if (previous[key] !== undefined && step[key] !== undefined) {
+            hour[key] = previous[key] + factor * (step[key] - previous[key]);
+          }
+        });
+      }
+      hours.push(hour);
+    }
+  });
+  return hours;
+}
+
+/**
+ * Build the forecast file content from pmp3g JSON
+ * @param {Object} forecast - pmp3g JSON
+ * @param {Object} station - Station from the registry
+ * @returns {Object} { station, referenceTime, approvedTime, hours, days }
+ */
+function buildForecast(forecast, station) {
+  const { elevation } = station;
+  const hourlyData = expandToHours(parseForecastSteps(forecast));
+
+  const hours = hourlyData
+    .filter(hour => hour.temperature !== undefined && hour.precipitation !== undefined)
+    .map(hour => {
+      const snowCalc = calculateSnowfallForHour(hour, { elevation });
+      return {
+        timestamp: hour.timestamp.toISOString(),
+        temperature: Number(hour.temperature.toFixed(1)),
+        precipitation: Number(hour.precipitation.toFixed(2)),
+        wind_speed: hour.wind_speed !== undefined ? Number(hour.wind_speed.toFixed(1)) : null,
+        humidity: hour.humidity !== undefined ? Math.round(hour.humidity) : null,
+        snow_cm: snowCalc.amount > 0 ? snowCalc.amount : 0,
+        slr: snowCalc.amount > 0 ? snowCalc.slr : 0,
+        rain_mm: Number(snowCalc.rainMm.toFixed(2))
+      };
+    });
+
+  // The first and last met-day are only partly covered by the forecast
+  const hoursPerDay = {};
+  hourlyData.forEach(hour => {
+    const dayKey = getMetDayKey(hour.timestamp);
+    hoursPerDay[dayKey] = (hoursPerDay[dayKey] || 0) + 1;
+  });
+
+  // Forecast values are not quality coded, so every hour is used as it is
+  const days = aggregateDailyRows(hourlyData, { qualityPolicy: 'keep', elevation })
+    .map(row => ({
+      ...Object.fromEntries(FORECAST_DAY_COLUMNS.map(column => [column, row[column]])),
+      hours: hoursPerDay[row.date]
+    }));
+
+  return {
+    station: station.key,
+    referenceTime: forecast.referenceTime,
+    approvedTime: forecast.approvedTime,
+    hours,
+    days
+  };
+}
+
+/**
+ * Get the lead time of a forecast met-day: met-days after the met-day the run started in
+ * @param {string} referenceTime - Forecast run time (ISO)
+ * @param {string} date - Met-day (YYYY-MM-DD)
+ * @returns {number}
+ */
+function getLeadDays(referenceTime, date) {
+  const runDay = getMetDayKey(new Date(referenceTime));
+  return Math.round((new Date(date) - new Date(runDay)) / DAY_MS);
+}
+
+/**
+ * Read data/<station>/forecast_archive.csv into an array of row objects
+ */
+function readForecastArchive(station) {
+  return readCsvRows(path.join(__dirname, getStationDataDir(station), FORECAST_ARCHIVE_FILE));
+}
+
+/**
+ * Append a forecast run's met-day totals to data/<station>/forecast_archive.csv
+ * A run that is already archived (same reference time) is not added again.
+ * @param {Object} station - Station from the registry
+ * @param {Object} forecast - From buildForecast
+ * @returns {boolean} Whether the run was added
+ */
+function archiveForecast(station, forecast) {
+  const filePath = path.join(__dirname, getStationDataDir(station), FORECAST_ARCHIVE_FILE);
+  if (readForecastArchive(station).some(row => row.reference_time === forecast.referenceTime)) {
+    return false;
+  }
+  if (!fs.existsSync(filePath)) {
+    fs.writeFileSync(filePath, FORECAST_ARCHIVE_COLUMNS.join(',') + '\n');
+  }
+
+  const lines = forecast.days.map(day => [
+    forecast.referenceTime,
+    day.date,
+    getLeadDays(forecast.referenceTime, day.date),
+    day.hours,
+    day.snow_cm,
+    day.rain_mm,
+    day.slr
+  ].join(','));
+  fs.appendFileSync(filePath, lines.join('\n') + '\n');
+  return true;
+}
+
+/**
+ * Fetch the point forecast for a station and write data/<station>/forecast.json
+ * @param {Object} station - Station from the registry
+ * @param {Object} options
+ * @param {string} options.baseUrl - Forecast API host (default FORECAST_BASE_URL)
+ * @returns {Promise<Object>} The written forecast
+ */
+async function updateForecast(station, { baseUrl = FORECAST_BASE_URL } = {}) {
+  const forecastJson = await fetchPointForecast(station.longitude, station.latitude, baseUrl);
+  const forecast = buildForecast(forecastJson, station);
+
+  const dataDir = path.join(__dirname, getStationDataDir(station));
+  fs.mkdirSync(dataDir, { recursive: true });
+  fs.writeFileSync(path.join(dataDir, FORECAST_FILE), JSON.stringify(forecast, null, 2) + '\n');
+
+  const totalSnow = forecast.days.reduce((sum, day) => sum + parseFloat(day.snow_cm), 0);
+  console.log(`Updated ${FORECAST_FILE} for ${station.name}: ${forecast.days.length} days, ${totalSnow.toFixed(1)} cm snow (run ${forecast.referenceTime})`);
+
+  if (archiveForecast(station, forecast)) {
+    console.log(`Archived run ${forecast.referenceTime} in ${FORECAST_ARCHIVE_FILE}`);
+  }
+  return forecast;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  // Optional --station=<key> limits the run to one station
+  const station = parseStationArg(args);
+
+  const baseUrl = args.find(arg => arg.startsWith('--base-url='))?.split('=').slice(1).join('=')
+    || process.env.SMHI_FORECAST_URL
+    || FORECAST_BASE_URL;
+
+  (async () => {
+    for (const target of station ? [station] : STATIONS) {
+      await updateForecast(target, { baseUrl });
+    }
+  })().catch(error => {
+    console.error('Error fetching forecast:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseForecastSteps,
+  expandToHours,
+  buildForecast,
+  getLeadDays,
+  readForecastArchive,
+  archiveForecast,
+  updateForecast
+};
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+/**
+ * Local stand-in for SMHI's point forecast API, for developing without network access.
+ *
+ * Serves a recorded pmp3g forecast for every point under the same path as the real API.
+ * The forecast is moved forward so that it starts at the current hour (use --keep-times to
+ * serve the recorded times as they are).
+ *
+ * Usage:
+ *   node forecast_server.js [--port=8090] [--file=fixtures/pmp3g_klovsjo.json] [--keep-times]
+ *   SMHI_FORECAST_URL=http://localhost:8090 node forecast.js
+ */
+
+const DEFAULT_PORT = 8090;
+const DEFAULT_FILE = path.join(__dirname, 'fixtures', 'pmp3g_klovsjo.json');
+const FORECAST_PATH = /^\/api\/category\/pmp3g\/version\/2\/geotype\/point\/lon\/[-\d.]+\/lat\/[-\d.]+\/data\.json$/;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Move all times in a recorded forecast so the reference time is the start of the current hour
+ * @param {Object} forecast - pmp3g JSON
+ * @param {Date} now - Current time
+ * @returns {Object} Forecast with shifted referenceTime, approvedTime and validTimes
+ */
+function shiftForecast(forecast, now = new Date()) {
+  const offset = Math.floor(now.getTime() / HOUR_MS) * HOUR_MS - new Date(forecast.referenceTime).getTime();
+  const shift = (time) => new Date(new Date(time).getTime() + offset).toISOString().replace('.000Z', 'Z');
+
+  return {
+    ...forecast,
+    approvedTime: shift(forecast.approvedTime),
+    referenceTime: shift(forecast.referenceTime),
+    timeSeries: forecast.timeSeries.map(entry => ({ ...entry, validTime: shift(entry.validTime) }))
+  };
+}
+
+/**
+ * Start the stand-in server
+ * @param {Object} options
+ * @param {number} options.port - Port to listen on
+ * @param {string} options.file - Recorded forecast JSON
+ * @param {boolean} options.keepTimes - Serve the recorded times instead of moving them to now
+ * @returns {http.Server}
+ */
+function startForecastServer({ port = DEFAULT_PORT, file = DEFAULT_FILE, keepTimes = false } = {}) {
+  const recorded = JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, `http://localhost:${port}`);
+    // Same CORS header as the real API, so the browser can fetch it too
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    if (!FORECAST_PATH.test(pathname)) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `Not found: ${pathname}` }));
+      return;
+    }
+
+    const forecast = keepTimes ? recorded : shiftForecast(recorded);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(forecast));
+    console.log(`${req.method} ${pathname} -> forecast from ${forecast.referenceTime}`);
+  });
+
+  server.listen(port, () => {
+    console.log(`Forecast stand-in serving ${path.relative(process.cwd(), file)} on http://localhost:${port}`);
+  });
+  return server;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const port = parseInt(args.find(arg => arg.startsWith('--port='))?.split('=')[1], 10) || DEFAULT_PORT;
+  const file = args.find(arg => arg.startsWith('--file='))?.split('=')[1] || DEFAULT_FILE;
+  startForecastServer({ port, file, keepTimes: args.includes('--keep-times') });
+}
+
+module.exports = {
+  shiftForecast,
+  startForecastServer
+};
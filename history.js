@@ -2,44 +2,14 @@
 // Note: dailyChartInstance is declared in app.js and shared
 
 /**
- * Get available winter seasons from historic data files
- * Returns array of years (the starting year of each season)
+ * Get available winter seasons from the season catalog (data/<station>/seasons.json)
+ * Returns array of years (the starting year of each archived season)
  */
 async function getAvailableSeasons() {
-  // We know the pattern: agg9596.csv means season 1995-1996 (starting year 1995)
-  // The files go from agg9596 to agg2425 (1995 to 2024)
-  const years = [];
-  for (let year = 1995; year <= 2024; year++) {
-    years.push(year);
-  }
-  
-  // Fetch all seasons in parallel instead of sequentially
-  const results = await Promise.all(
-    years.map(async (year) => {
-      const year1 = String(year).slice(-2);
-      const year2 = String(year + 1).slice(-2);
-      const filename = `agg${year1}${year2}.csv`;
-      try {
-        const response = await fetch(`data/historic/${filename}`, { method: 'HEAD' });
-        return response.ok ? year : null;
-      } catch (error) {
-        return null;
-      }
-    })
-  );
-  
-  return results.filter(year => year !== null);
-}
-
-/**
- * Get winter season filename from year
- * @param {number} year - Starting year of winter season (e.g., 2024 for 2024-2025)
- * @returns {string} Filename like "agg2425.csv"
- */
-function getSeasonFilename(year) {
-  const year1 = String(year).slice(-2);
-  const year2 = String(year + 1).slice(-2);
-  return `agg${year1}${year2}.csv`;
+  const catalog = await fetchSeasonCatalog(currentStation);
+  return catalog
+    .filter(season => !season.current)
+    .map(season => season.year);
 }
 
 /**
@@ -50,7 +20,7 @@ function getYearFromURL() {
   const yearParam = params.get('year');
   if (yearParam) {
     const year = parseInt(yearParam, 10);
-    if (!isNaN(year) && year >= 1995 && year <= 2024) {
+    if (!isNaN(year) && year >= FIRST_SEASON_YEAR && year < getCurrentSeasonStartYear()) {
       return year;
     }
   }
@@ -73,12 +43,11 @@ function updateURL(year) {
 function updatePageTitle(historicYear = null) {
   let titleText;
   if (historicYear) {
-    titleText = `Snö i Klövsjö vintern ${historicYear}-${historicYear + 1}`;
+    titleText = `Snö i ${currentStation.name} vintern ${historicYear}-${historicYear + 1}`;
   } else {
     // Current season - determine from current date
-    const now = new Date();
-    const startYear = now.getMonth() >= 6 ? now.getFullYear() : now.getFullYear() - 1;
-    titleText = `Snö i Klövsjö vintern ${startYear}-${startYear + 1}`;
+    const startYear = getCurrentSeasonStartYear();
+    titleText = `Snö i ${currentStation.name} vintern ${startYear}-${startYear + 1}`;
   }
   document.title = titleText;
 }
@@ -111,7 +80,7 @@ function parseCSV(csvText) {
 async function fetchHistoricalData(year) {
   const filename = getSeasonFilename(year);
   try {
-    const response = await fetch(`data/historic/${filename}`);
+    const response = await fetch(`${getStationDataDir(currentStation)}/historic/${filename}`);
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
     }
@@ -130,19 +99,14 @@ async function fetchHistoricalData(year) {
 let availableSeasons = [];
 
 async function initializeSeasons() {
-  // Use URL year or default to 2024
-  const selectedYear = getYearFromURL() || 2024;
-  
-  // Start loading the requested season immediately
-  const loadPromise = loadSeason(selectedYear, false); // Don't update navigation yet
+  // The catalog is a single small file, so fetch it first to pick a season that exists
+  availableSeasons = await getAvailableSeasons();
+  availableSeasons.sort((a, b) => b - a);
   
-  // Fetch available seasons in background
-  const seasonsPromise = getAvailableSeasons();
+  // Use URL year or default to the latest archived season
+  const selectedYear = getYearFromURL() || availableSeasons[0] || getCurrentSeasonStartYear() - 1;
   
-  // Wait for both, but the season will render as soon as it's ready
-  await loadPromise;
-  availableSeasons = await seasonsPromise;
-  availableSeasons.sort((a, b) => b - a);
+  await loadSeason(selectedYear, false); // Navigation is updated below
   
   // Now update navigation with full season list
   updateNavigation(selectedYear);
@@ -163,7 +127,7 @@ function updateNavigation(currentYear) {
   if (currentIndex < availableSeasons.length - 1) {
     const prevYear = availableSeasons[currentIndex + 1];
     prevLink.textContent = `← ${prevYear}-${prevYear + 1}`;
-    prevLink.href = `?year=${prevYear}`;
+    prevLink.href = withStationParam(`?year=${prevYear}`, currentStation);
     prevLink.style.visibility = 'visible';
   } else {
     prevLink.style.visibility = 'hidden';
@@ -173,12 +137,12 @@ function updateNavigation(currentYear) {
   if (currentIndex > 0) {
     const nextYear = availableSeasons[currentIndex - 1];
     nextLink.textContent = `${nextYear}-${nextYear + 1} →`;
-    nextLink.href = `?year=${nextYear}`;
+    nextLink.href = withStationParam(`?year=${nextYear}`, currentStation);
     nextLink.style.visibility = 'visible';
   } else {
     // Link to current season on index page
     nextLink.textContent = 'Nuvarande säsong →';
-    nextLink.href = 'index.html';
+    nextLink.href = withStationParam('index.html', currentStation);
     nextLink.style.visibility = 'visible';
   }
   
@@ -205,7 +169,8 @@ async function loadSeason(year, updateNav = true) {
   try {
     const data = await fetchHistoricalData(year);
     if (data.length > 0) {
-      const dailySeries = prepareDailySeries(data);
+      initSlrModelSelector(data, null, year);
+      const dailySeries = prepareDailySeries(data, null, currentSlrModel);
       renderDailyChart(dailySeries);
       updateSubtitle(dailySeries, year);
       updatePageTitle(year);
@@ -233,6 +198,8 @@ async function loadSeason(year, updateNav = true) {
  * Initialize history page
  */
 async function initHistory() {
+  initStationSelector(currentStation);
+
   // Initialize seasons and load default
   await initializeSeasons();
   
@@ -251,8 +218,8 @@ async function initHistory() {
   
   nextLink.addEventListener('click', async (e) => {
     const href = nextLink.getAttribute('href');
-    // If it's an external link (no query params), let it navigate normally
-    if (!href.includes('?')) {
+    // If it's a link to another page (not just query params), let it navigate normally
+    if (!href.startsWith('?')) {
       return;
     }
     e.preventDefault();
@@ -0,0 +1,137 @@
+/**
+ * The last 24 hours from SMHI with modeled snowfall, shared by the front page (app.js) and the
+ * service worker (sw.js) that checks the custom alerts in the background. No DOM access here.
+ * Note: In browser, smhi_api.js and snowfall.js must be loaded before hourly.js
+ */
+
+/**
+ * Fetch one parameter, logging which one failed
+ */
+async function fetchSMHIDataBrowser(parameter, stationId, period = 'latest-day') {
+  try {
+    return await fetchSMHIData(parameter, stationId, period);
+  } catch (error) {
+    console.error(`Error fetching parameter ${parameter} (station ${stationId}, period ${period}):`, error);
+    throw error;
+  }
+}
+
+/**
+ * Fetch the last 24 hours from SMHI and model the snowfall of every hour
+ * @param {Object} station - Station from the registry (stations.js)
+ * @returns {Promise<Array<Object>>} 24 hours, oldest first; hours without temperature only have zero amounts
+ */
+async function fetchLast24Hours(station) {
+  try {
+    // Daily parameters (snow depth) are only used by the daily pipeline
+    const parameters = Object.entries(PARAMETER_CODES).filter(([key]) => !DAILY_PARAMETERS.includes(key));
+    const parameterPromises = parameters.map(async ([key, code]) => {
+      try {
+        const data = await fetchSMHIDataBrowser(code, station.id, 'latest-day');
+        return { key, data };
+      } catch (error) {
+        // Optional parameters (visibility, dew point, pressure) are missing at many stations
+        if (!OPTIONAL_PARAMETERS.includes(key)) {
+          console.error(`Failed to fetch ${key} (parameter ${code}):`, error);
+        }
+        return { key, data: null };
+      }
+    });
+
+    const results = await Promise.all(parameterPromises);
+
+    const dataByTime = {};
+    let latestHourWithData = null;
+
+    for (const { key, data } of results) {
+      if (data && data.value && Array.isArray(data.value)) {
+        for (const entry of data.value) {
+          const parsed = parseSMHIEntry(entry);
+          if (!parsed) {
+            continue;
+          }
+
+          const hourTimestamp = new Date(parsed.timestamp);
+          hourTimestamp.setMinutes(0, 0, 0);
+          const timeKey = hourTimestamp.toISOString();
+
+          if (!dataByTime[timeKey]) {
+            dataByTime[timeKey] = { timestamp: hourTimestamp };
+          }
+          dataByTime[timeKey][key] = parsed.value;
+
+          if (key === 'temperature' && (!latestHourWithData || hourTimestamp > latestHourWithData)) {
+            latestHourWithData = hourTimestamp;
+          }
+        }
+      }
+    }
+
+    const endTime = latestHourWithData || new Date();
+    endTime.setMinutes(0, 0, 0);
+
+    const hourlyData = [];
+    const startTime = new Date(endTime);
+    startTime.setHours(startTime.getHours() - 23);
+
+    for (let i = 0; i < 24; i++) {
+      const hourTime = new Date(startTime);
+      hourTime.setHours(startTime.getHours() + i);
+      const timeKey = hourTime.toISOString();
+
+      const data = dataByTime[timeKey];
+      if (data && data.temperature !== undefined) {
+        const precipitation = data.precipitation !== undefined ? data.precipitation : 0;
+        const hour = { ...data, precipitation };
+        const { elevation } = station;
+
+        // With the calculation trace for the tooltip
+        const snowCalc = calculateSnowfallForHour(hour, { elevation, trace: true });
+
+        // Snowfall per SLR model, for today's value in the daily chart
+        const models = {};
+        Object.keys(SLR_MODELS).forEach(model => {
+          const modelCalc = calculateSnowfallForHour(hour, { elevation, model });
+          models[model] = { snowfall: modelCalc.amount, slr: modelCalc.slr };
+        });
+
+        hourlyData.push({
+          timestamp: hourTime,
+          temperature: data.temperature,
+          precipitation: precipitation,
+          snowfall: snowCalc.amount,
+          slr: snowCalc.slr,
+          rainMm: snowCalc.rainMm,
+          snowFraction: snowCalc.snowFraction,
+          trace: snowCalc.trace,
+          models,
+          // For the conditions panel (visibility and present weather are missing at many stations)
+          windSpeed: data.wind_speed ?? null,
+          visibility: data.visibility ?? null,
+          presentWeather: data.present_weather ?? null
+        });
+      } else {
+        hourlyData.push({
+          timestamp: hourTime,
+          temperature: null,
+          precipitation: 0,
+          snowfall: 0,
+          slr: 0,
+          rainMm: 0
+        });
+      }
+    }
+
+    return hourlyData;
+  } catch (error) {
+    console.error('Error fetching last 24 hours:', error);
+    throw error;
+  }
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    fetchLast24Hours
+  };
+}
@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  calculateSnowfallForHour,
+  calculateWetBulb,
+  getStationPressure,
+  classifyPresentWeather,
+  PRECIPITATION_TYPES
+} = require('./snowfall.js');
+const { getMetDayKey } = require('./daily_aggregation.js');
+const { getDefaultStation, getStationDataDir, parseStationArg } = require('./stations.js');
+const { readHourlyData } = require('./fetch_data.js');
+
+/**
+ * Compare the modeled precipitation phase with SMHI present weather (parameter 13).
+ *
+ * For every hour with precipitation and a present weather code that names a precipitation type,
+ * the wet-bulb phase (snow fraction from calculateSnowfall, ignoring the observation) is compared
+ * with the observed type. Graupel counts as snow, sleet as mixed.
+ *
+ * Usage:
+ *   node phase_report.js [--station=<key>] [--from=YYYY-MM-DD] [--to=YYYY-MM-DD] [--report=<file.md>]
+ */
+
+// Modeled phase: all snow, mixed (transition band) or all rain
+const MODEL_PHASES = ['snow', 'sleet', 'rain'];
+const PHASE_LABELS = { snow: 'snow', sleet: 'mixed', rain: 'rain' };
+const OBSERVED_LABELS = { snow: 'Snow', graupel: 'Graupel', sleet: 'Sleet', rain: 'Rain' };
+
+// Observed type -> the modeled phase that agrees with it
+const AGREEING_PHASE = { snow: 'snow', graupel: 'snow', sleet: 'sleet', rain: 'rain' };
+
+// Wet-bulb bins in the transition table (°C); outside the range model and observation rarely differ
+const WET_BULB_BIN = 0.5;
+const WET_BULB_RANGE = [-3, 4];
+
+/**
+ * Modeled phase from a snow fraction
+ */
+function getModelPhase(snowFraction) {
+  if (snowFraction >= 1) return 'snow';
+  if (snowFraction <= 0) return 'rain';
+  return 'sleet';
+}
+
+/**
+ * Collect hours with precipitation and a classifiable present weather code
+ * @param {Array<Object>} hourlyData - Hourly records (see daily_aggregation.js)
+ * @param {Object} station - Station from the registry
+ * @param {Object} options
+ * @param {string|null} options.from - First met-day (YYYY-MM-DD)
+ * @param {string|null} options.to - Last met-day (YYYY-MM-DD)
+ * @returns {Array<Object>} { date, observed, modeled, snowFraction, wetBulb }
+ */
+function comparePhases(hourlyData, station, { from = null, to = null } = {}) {
+  const hours = [];
+
+  for (const hour of hourlyData) {
+    if (hour.temperature === undefined || !(hour.precipitation > 0)) continue;
+
+    const observed = classifyPresentWeather(hour.present_weather);
+    if (!observed) continue;
+
+    const date = getMetDayKey(new Date(hour.timestamp));
+    if ((from && date < from) || (to && date > to)) continue;
+
+    const { snowFraction } = calculateSnowfallForHour(hour, { elevation: station.elevation, phaseSource: 'model' });
+    const wetBulb = calculateWetBulb(hour.temperature, hour.humidity || 90, {
+      dewPoint: hour.dew_point,
+      pressure: getStationPressure(hour.pressure, station.elevation, hour.temperature)
+    });
+
+    hours.push({ date, observed, modeled: getModelPhase(snowFraction), snowFraction, wetBulb });
+  }
+
+  return hours.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Agreement statistics for a list of compared hours
+ * "Opposite" counts hours where one side says snow and the other rain.
+ */
+function summarize(hours) {
+  const disagree = hours.filter(hour => AGREEING_PHASE[hour.observed] !== hour.modeled).length;
+  const opposite = hours.filter(hour => {
+    const observedPhase = AGREEING_PHASE[hour.observed];
+    return (observedPhase === 'snow' && hour.modeled === 'rain') || (observedPhase === 'rain' && hour.modeled === 'snow');
+  }).length;
+  return { n: hours.length, disagree, opposite };
+}
+
+/**
+ * Format the phase report as Markdown
+ */
+function formatReport({ station, hours }) {
+  const percent = (count, total) => (total > 0 ? `${((100 * count) / total).toFixed(1)}%` : '-');
+  const total = summarize(hours);
+
+  // Observed type x modeled phase
+  const matrix = Object.keys(PRECIPITATION_TYPES).map(observed => {
+    const counts = MODEL_PHASES.map(modeled =>
+      hours.filter(hour => hour.observed === observed && hour.modeled === modeled).length
+    );
+    return `| ${OBSERVED_LABELS[observed]} | ${counts.join(' | ')} |`;
+  });
+
+  const byMonth = {};
+  hours.forEach(hour => {
+    const month = hour.date.slice(0, 7);
+    if (!byMonth[month]) byMonth[month] = [];
+    byMonth[month].push(hour);
+  });
+
+  // Observed and modeled snow share per wet-bulb bin, to check the transition band
+  const byWetBulb = {};
+  hours.filter(hour => hour.wetBulb >= WET_BULB_RANGE[0] && hour.wetBulb < WET_BULB_RANGE[1]).forEach(hour => {
+    const bin = Math.floor(hour.wetBulb / WET_BULB_BIN) * WET_BULB_BIN;
+    if (!byWetBulb[bin]) byWetBulb[bin] = [];
+    byWetBulb[bin].push(hour);
+  });
+  const snowShare = (binHours, getFraction) =>
+    percent(binHours.reduce((sum, hour) => sum + getFraction(hour), 0), binHours.length);
+
+  const lines = [
+    `# Precipitation phase: model vs present weather, ${station.name}`,
+    '',
+    `- Generated: ${new Date().toISOString()}`,
+    `- Hours with precipitation and a present weather type: ${total.n}` +
+      (total.n > 0 ? ` (${hours[0].date} to ${hours[hours.length - 1].date})` : ''),
+    `- Disagreement: ${total.disagree} hours (${percent(total.disagree, total.n)})`,
+    `- Snow vs rain: ${total.opposite} hours (${percent(total.opposite, total.n)})`,
+    '',
+    '## Observed type vs modeled phase',
+    '',
+    `| Observed | ${MODEL_PHASES.map(phase => `Model ${PHASE_LABELS[phase]}`).join(' | ')} |`,
+    '|---|---|---|---|',
+    ...matrix,
+    '',
+    '## Per month',
+    '',
+    '| Month | Hours | Disagreement | Snow vs rain |',
+    '|---|---|---|---|',
+    ...Object.keys(byMonth).sort().map(month => {
+      const stats = summarize(byMonth[month]);
+      return `| ${month} | ${stats.n} | ${percent(stats.disagree, stats.n)} | ${percent(stats.opposite, stats.n)} |`;
+    }),
+    '',
+    `## Snow share per wet bulb (${WET_BULB_RANGE[0]} to ${WET_BULB_RANGE[1]} °C)`,
+    '',
+    '| Wet bulb (°C) | Hours | Observed snow | Modeled snow |',
+    '|---|---|---|---|',
+    ...Object.keys(byWetBulb).map(Number).sort((a, b) => a - b).map(bin => {
+      const binHours = byWetBulb[bin];
+      return `| ${bin.toFixed(1)} to ${(bin + WET_BULB_BIN).toFixed(1)} | ${binHours.length} | ` +
+        `${snowShare(binHours, hour => PRECIPITATION_TYPES[hour.observed].snowFraction)} | ` +
+        `${snowShare(binHours, hour => hour.snowFraction)} |`;
+    }),
+    ''
+  ];
+  return lines.join('\n');
+}
+
+/**
+ * Write the phase report for a station
+ * @param {Object} station - Station from the registry
+ * @param {Object} options
+ * @param {string|null} options.from - First met-day (YYYY-MM-DD)
+ * @param {string|null} options.to - Last met-day (YYYY-MM-DD)
+ * @param {string|null} options.reportFile - Report path (defaults to data/<station>/phase_report.md)
+ * @returns {Object} { n, disagree, opposite }
+ */
+function phaseReport(station, { from = null, to = null, reportFile = null } = {}) {
+  const hourlyData = [...readHourlyData(station).values()];
+  const hours = comparePhases(hourlyData, station, { from, to });
+  if (hours.length === 0) {
+    throw new Error(`No hours with precipitation and present weather for ${station.name} (SMHI parameter 13)`);
+  }
+
+  const reportPath = reportFile || path.join(__dirname, getStationDataDir(station), 'phase_report.md');
+  fs.writeFileSync(reportPath, formatReport({ station, hours }));
+
+  const stats = summarize(hours);
+  console.log(`Compared ${stats.n} hours: model disagrees in ${stats.disagree}, snow vs rain in ${stats.opposite}`);
+  console.log(`Report written to ${reportPath}`);
+  return stats;
+}
+
+// Run if called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const getArg = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1] || null;
+
+  const station = parseStationArg(args) || getDefaultStation();
+
+  try {
+    phaseReport(station, { from: getArg('from'), to: getArg('to'), reportFile: getArg('report') });
+  } catch (error) {
+    console.error('Error in phase report:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { phaseReport, comparePhases };
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const { STATIONS, getStationDataDir, parseStationArg } = require('./stations.js');
+const { getMetDayKey } = require('./daily_aggregation.js');
+const {
+  SEASON_CATALOG_FILE,
+  getSeasonStartYear,
+  getWinterSeasonStartYear,
+  getSeasonDateRange
+} = require('./seasons.js');
+const { readCsvRows } = require('./csv.js');
+
+/**
+ * Season catalog: data/<station>/seasons.json
+ *
+ * Lists every season that has daily data so the pages don't have to guess filenames:
+ *   {
+ *     "station": "klovsjo",
+ *     "seasons": [
+ *       { "year": 2024, "label": "2024-2025", "file": "historic/agg2425.csv", "current": false,
+ *         "firstDate": "2024-11-01", "lastDate": "2025-04-30", "days": 181,
+ *         "hourlyCoverage": 0.998, "totalSnowfallCm": 312.4, "wetBulbMethod": "psychrometric",
+ *         "phaseModel": "band", "excluded": false, "exclusionReason": null,
+ *         "updated": "2025-05-02T08:20:11.000Z" }
+ *     ]
+ *   }
+ * file is relative to the station directory. hourlyCoverage is the share of hours with both
+ * temperature and precipitation (null when the hourly data isn't available). wetBulbMethod is
+ * the wet bulb the season was computed with (see getSeasonWetBulbMethod) and phaseModel its rain/snow
+ * rule (see getSeasonPhaseModel), so the pages can tell seasons apart that aren't directly comparable.
+ */
+
+/**
+ * Calculate hourly coverage per winter season
+ * Expected hours run from the season start to the season end, or to the last
+ * met-day with data for a season that is still in progress.
+ * @param {Array<Object>} hourlyData - Hourly records (see daily_aggregation.js)
+ * @returns {Object} Coverage (0-1) keyed by starting year of the season
+ */
+function calculateHourlyCoverage(hourlyData) {
+  const seasons = {};
+
+  for (const hour of hourlyData) {
+    if (hour.temperature === undefined || hour.precipitation === undefined) continue;
+
+    const metDay = getMetDayKey(new Date(hour.timestamp));
+    const season = getWinterSeasonStartYear(new Date(metDay));
+    if (season === null) continue;
+
+    if (!seasons[season]) {
+      seasons[season] = { hours: 0, lastDay: metDay };
+    }
+    seasons[season].hours++;
+    if (metDay > seasons[season].lastDay) {
+      seasons[season].lastDay = metDay;
+    }
+  }
+
+  const coverage = {};
+  for (const [season, { hours, lastDay }] of Object.entries(seasons)) {
+    const { start, end } = getSeasonDateRange(Number(season));
+    const last = lastDay < end ? lastDay : end;
+    const days = Math.round((new Date(last) - new Date(start)) / (24 * 60 * 60 * 1000)) + 1;
+    coverage[season] = Number(Math.min(1, hours / (days * 24)).toFixed(3));
+  }
+  return coverage;
+}
+
+/**
+ * Wet-bulb method of a season's daily rows (wet_bulb_method column)
+ * Files in the old format (snowfall_cm) were computed before the method was selectable, with the rule of thumb.
+ * @returns {string|null} Key in WET_BULB_METHODS, 'mixed' for several methods, null if unknown
+ */
+function getSeasonWetBulbMethod(rows) {
+  if (rows[0].snowfall_cm !== undefined) return 'simple';
+
+  const methods = new Set(rows.map(row => row.wet_bulb_method).filter(Boolean));
+  if (methods.size === 0) return null;
+  return methods.size === 1 ? [...methods][0] : 'mixed';
+}
+
+/**
+ * Rain/snow phase rule of a season's daily rows
+ * Files in the old format (snowfall_cm) cut hard at a wet bulb of 1 °C and mark a rain day with -1;
+ * newer files split the precipitation in the transition band (see getSnowFraction in snowfall.js).
+ * @returns {string} 'cutoff' or 'band'
+ */
+function getSeasonPhaseModel(rows) {
+  return rows[0].snowfall_cm !== undefined ? 'cutoff' : 'band';
+}
+
+/**
+ * Build the catalog entry for one season file
+ */
+function describeSeason(station, file, rows, current, hourlyCoverage) {
+  const year = getSeasonStartYear(new Date(rows[0].date));
+  const lastRow = rows[rows.length - 1];
+
+  // Only snow counts, same as accumulation.js (older files use snowfall_cm with -1 for rain days)
+  const totalSnowfall = lastRow.accumulated_snowfall_cm !== undefined && lastRow.accumulated_snowfall_cm !== ''
+    ? parseFloat(lastRow.accumulated_snowfall_cm)
+    : rows.reduce((sum, row) => {
+      const value = parseFloat(row.snow_cm ?? row.snowfall_cm);
+      return value > 0 ? sum + value : sum;
+    }, 0);
+
+  const exclusionReason = station.excludedSeasons[year] || null;
+
+  return {
+    year,
+    label: `${year}-${year + 1}`,
+    file,
+    current,
+    firstDate: rows[0].date,
+    lastDate: lastRow.date,
+    days: rows.length,
+    hourlyCoverage: hourlyCoverage[year] ?? null,
+    totalSnowfallCm: Number(totalSnowfall.toFixed(1)),
+    wetBulbMethod: getSeasonWetBulbMethod(rows),
+    phaseModel: getSeasonPhaseModel(rows),
+    excluded: exclusionReason !== null,
+    exclusionReason
+  };
+}
+
+/**
+ * Regenerate data/<station>/seasons.json from the season files on disk
+ * Entries that didn't change keep their previous "updated" time and hourly coverage.
+ * @param {Object} station - Station from the registry
+ * @param {Object} options
+ * @param {Object} options.hourlyCoverage - Coverage keyed by season starting year (see calculateHourlyCoverage)
+ * @returns {Object} The written catalog
+ */
+function updateSeasonCatalog(station, { hourlyCoverage = {} } = {}) {
+  const dataDir = path.join(__dirname, getStationDataDir(station));
+  const catalogPath = path.join(dataDir, SEASON_CATALOG_FILE);
+
+  const previous = {};
+  if (fs.existsSync(catalogPath)) {
+    const catalog = JSON.parse(fs.readFileSync(catalogPath, 'utf-8'));
+    catalog.seasons.forEach(entry => {
+      previous[entry.year] = entry;
+    });
+  }
+
+  // Keep coverage from earlier runs when this run has no hourly data for a season
+  const coverage = {};
+  Object.values(previous).forEach(entry => {
+    coverage[entry.year] = entry.hourlyCoverage;
+  });
+  Object.assign(coverage, hourlyCoverage);
+
+  const entries = new Map();
+
+  const historicDir = path.join(dataDir, 'historic');
+  if (fs.existsSync(historicDir)) {
+    fs.readdirSync(historicDir)
+      .filter(file => /^agg\d{4}\.csv$/.test(file))
+      .forEach(file => {
+        const rows = readCsvRows(path.join(historicDir, file));
+        if (rows.length === 0) return;
+        const entry = describeSeason(station, `historic/${file}`, rows, false, coverage);
+        entries.set(entry.year, entry);
+      });
+  }
+
+  // Current season; an archived file for the same season takes precedence
+  const currentRows = readCsvRows(path.join(dataDir, 'aggregated_data.csv'));
+  if (currentRows.length > 0) {
+    const entry = describeSeason(station, 'aggregated_data.csv', currentRows, true, coverage);
+    if (!entries.has(entry.year)) {
+      entries.set(entry.year, entry);
+    }
+  }
+
+  const now = new Date().toISOString();
+  const seasons = [...entries.values()]
+    .sort((a, b) => a.year - b.year)
+    .map(entry => {
+      const { updated, ...previousEntry } = previous[entry.year] || {};
+      const unchanged = JSON.stringify(previousEntry) === JSON.stringify(entry);
+      return { ...entry, updated: unchanged ? updated : now };
+    });
+
+  const catalog = { station: station.key, seasons };
+  fs.writeFileSync(catalogPath, JSON.stringify(catalog, null, 2) + '\n');
+  console.log(`Updated ${SEASON_CATALOG_FILE} for ${station.name} (${seasons.length} seasons)`);
+  return catalog;
+}
+
+// Run if called directly: node season_catalog.js [--station <key>]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const station = parseStationArg(args);
+  const stations = station ? [station] : STATIONS;
+
+  stations
+    .filter(station => fs.existsSync(path.join(__dirname, getStationDataDir(station))))
+    .forEach(station => updateSeasonCatalog(station));
+}
+
+module.exports = { calculateHourlyCoverage, updateSeasonCatalog };
@@ -0,0 +1,108 @@
+/**
+ * Winter season helpers shared by Node.js and the browser.
+ * A season is identified by its starting year: 2025 = November 2025 - April 2026.
+ */
+
+// Oldest season with historic data (agg9596.csv)
+const FIRST_SEASON_YEAR = 1995;
+
+// Season catalog written by the pipeline, see season_catalog.js
+const SEASON_CATALOG_FILE = 'seasons.json';
+
+// Wind rose of snowfall per season written by the pipeline, see wind.js
+const WIND_ROSE_FILE = 'windrose.json';
+
+// Latest point forecast with modeled snowfall written by the pipeline, see forecast.js
+const FORECAST_FILE = 'forecast.json';
+
+// Forecast skill scores by lead time written by the pipeline, see verification.js
+const VERIFICATION_FILE = 'verification.json';
+
+/**
+ * Get the season a date belongs to
+ * From July onwards the coming winter is the active season, so a finished
+ * season stays active until the end of June.
+ * @param {Date} date
+ * @returns {number} Starting year of the season
+ */
+function getSeasonStartYear(date = new Date()) {
+  return date.getMonth() >= 6 ? date.getFullYear() : date.getFullYear() - 1;
+}
+
+/**
+ * Get the currently active season
+ * @returns {number} Starting year of the season
+ */
+function getCurrentSeasonStartYear() {
+  return getSeasonStartYear(new Date());
+}
+
+/**
+ * Get the winter season a date falls in (November - April)
+ * @param {Date} date
+ * @returns {number|null} Starting year of the season, or null for May - October
+ */
+function getWinterSeasonStartYear(date) {
+  const month = date.getMonth() + 1; // 1-12
+  if (month >= 11) return date.getFullYear();
+  if (month <= 4) return date.getFullYear() - 1;
+  return null;
+}
+
+/**
+ * Get first and last day of a winter season
+ * @param {number} year - Starting year of the season
+ * @returns {{ start: string, end: string }} Dates as YYYY-MM-DD
+ */
+function getSeasonDateRange(year) {
+  return {
+    start: `${year}-11-01`,
+    end: `${year + 1}-04-30`
+  };
+}
+
+/**
+ * Get historic data filename for a season
+ * @param {number} year - Starting year of the season (e.g. 2024 for 2024-2025)
+ * @returns {string} Filename like "agg2425.csv"
+ */
+function getSeasonFilename(year) {
+  const year1 = String(year).slice(-2);
+  const year2 = String(year + 1).slice(-2);
+  return `agg${year1}${year2}.csv`;
+}
+
+/**
+ * Fetch the season catalog for a station (browser only)
+ * @param {Object} station - Station from the registry
+ * @returns {Promise<Array<Object>>} Catalog entries sorted by year, empty if the catalog is missing
+ */
+async function fetchSeasonCatalog(station) {
+  try {
+    const response = await fetch(`${getStationDataDir(station)}/${SEASON_CATALOG_FILE}`);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const catalog = await response.json();
+    return catalog.seasons || [];
+  } catch (error) {
+    console.error('Error fetching season catalog:', error);
+    return [];
+  }
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    FIRST_SEASON_YEAR,
+    SEASON_CATALOG_FILE,
+    WIND_ROSE_FILE,
+    FORECAST_FILE,
+    VERIFICATION_FILE,
+    getSeasonStartYear,
+    getCurrentSeasonStartYear,
+    getWinterSeasonStartYear,
+    getSeasonDateRange,
+    getSeasonFilename
+  };
+}
@@ -0,0 +1,311 @@
+// Forecast verification page - how good has the snowfall forecast been?
+// Note: stations.js and seasons.js must be loaded before skill.js
+
+// Selected station (from ?station=, defaults to Klövsjö)
+const currentStation = getStationFromURL();
+
+let leadChartInstance = null;
+let daysChartInstance = null;
+
+// Lead times shown as lines in the day chart
+const DAY_CHART_LEADS = [1, 3, 5];
+const DAY_CHART_COLORS = ['rgba(102, 126, 234, 1)', 'rgba(118, 75, 162, 0.8)', 'rgba(108, 117, 125, 0.6)'];
+
+/**
+ * Fetch the scores for the station (data/<station>/verification.json, written by verification.js)
+ * @returns {Promise<Object|null>} null if the file is missing
+ */
+async function fetchVerification() {
+    try {
+        const response = await fetch(`${getStationDataDir(currentStation)}/${VERIFICATION_FILE}`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.error('Error fetching verification:', error);
+        return null;
+    }
+}
+
+/**
+ * Describe a lead time in met-days
+ */
+function getLeadLabel(lead) {
+    return lead === 1 ? 'Nästa dygn' : `Dygn ${lead}`;
+}
+
+/**
+ * Format a share (0-1) as percent, or '-' when there is nothing to compare with
+ */
+function formatShare(share) {
+    return share === null ? '-' : `${Math.round(share * 100)}%`;
+}
+
+/**
+ * Format a signed snowfall difference (cm)
+ */
+function formatBias(bias) {
+    return `${bias > 0 ? '+' : ''}${bias.toFixed(1)} cm`;
+}
+
+/**
+ * Render the summary cards
+ */
+function renderStats(verification) {
+    const statsGrid = document.getElementById('statsGrid');
+    if (!statsGrid) return;
+
+    const nextDay = verification.leadTimes.find(entry => entry.lead === 1);
+
+    statsGrid.innerHTML = `
+        <div class="stat-card">
+            <div class="stat-label">Prognoser</div>
+            <div class="stat-value">${verification.runs}</div>
+            <div class="stat-season">${verification.days.length} dygn med facit</div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-label">Fel nästa dygn</div>
+            <div class="stat-value">${nextDay ? `${nextDay.mae.toFixed(1)} cm` : '-'}</div>
+            <div class="stat-season">${nextDay ? `i snitt (bias ${formatBias(nextDay.bias)})` : ''}</div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-label">Träff ≥${verification.threshold} cm</div>
+            <div class="stat-value best">${nextDay ? formatShare(nextDay.hitRate) : '-'}</div>
+            <div class="stat-season">${nextDay ? `${nextDay.hits} av ${nextDay.events} snödygn nästa dygn` : ''}</div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-label">Falsklarm ≥${verification.threshold} cm</div>
+            <div class="stat-value worst">${nextDay ? formatShare(nextDay.falseAlarmRatio) : '-'}</div>
+            <div class="stat-season">${nextDay ? `${nextDay.falseAlarms} prognoser utan snön` : ''}</div>
+        </div>
+    `;
+}
+
+/**
+ * Render MAE and bias by lead time
+ */
+function renderLeadChart(verification) {
+    if (leadChartInstance) {
+        leadChartInstance.destroy();
+    }
+
+    const { leadTimes } = verification;
+    const ctx = document.getElementById('leadChart').getContext('2d');
+
+    leadChartInstance = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: leadTimes.map(entry => entry.lead),
+            datasets: [
+                {
+                    label: 'Medelfel (MAE)',
+                    data: leadTimes.map(entry => entry.mae),
+                    backgroundColor: 'rgba(102, 126, 234, 0.7)',
+                    borderColor: 'rgba(102, 126, 234, 1)',
+                    borderWidth: 1
+                },
+                {
+                    type: 'line',
+                    label: 'Bias',
+                    data: leadTimes.map(entry => entry.bias),
+                    borderColor: 'rgba(220, 53, 69, 0.9)',
+                    backgroundColor: 'rgba(220, 53, 69, 0.9)',
+                    pointRadius: 3,
+                    borderWidth: 2,
+                    fill: false
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'bottom'
+                },
+                tooltip: {
+                    mode: 'index',
+                    intersect: false,
+                    callbacks: {
+                        title: (context) => getLeadLabel(leadTimes[context[0].dataIndex].lead),
+                        label: (context) => (context.dataset.label === 'Bias'
+                            ? `Bias: ${formatBias(context.parsed.y)}`
+                            : `Medelfel: ${context.parsed.y.toFixed(1)} cm`),
+                        afterBody: (context) => `${leadTimes[context[0].dataIndex].days} dygn`
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Dygn fram i tiden'
+                    },
+                    grid: {
+                        display: false
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Snöfall (cm)'
+                    }
+                }
+            }
+        }
+    });
+
+    const loadingElement = document.querySelector('#leadChart').nextElementSibling;
+    if (loadingElement && loadingElement.classList.contains('loading')) {
+        loadingElement.style.display = 'none';
+    }
+}
+
+/**
+ * Render actual snowfall per day with the forecasts made 1, 3 and 5 days before
+ */
+function renderDaysChart(verification) {
+    if (daysChartInstance) {
+        daysChartInstance.destroy();
+    }
+
+    const { days } = verification;
+    const ctx = document.getElementById('daysChart').getContext('2d');
+
+    daysChartInstance = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: days.map(day => day.date.slice(5)),
+            datasets: [
+                {
+                    label: 'Uppmätt',
+                    data: days.map(day => day.actual),
+                    backgroundColor: 'rgba(70, 130, 180, 0.6)',
+                    borderColor: 'rgba(70, 130, 180, 1)',
+                    borderWidth: 1
+                },
+                ...DAY_CHART_LEADS.map((lead, index) => ({
+                    type: 'line',
+                    label: `Prognos ${lead} dygn innan`,
+                    data: days.map(day => day.forecasts[lead] ?? null),
+                    borderColor: DAY_CHART_COLORS[index],
+                    backgroundColor: DAY_CHART_COLORS[index],
+                    pointRadius: 2,
+                    borderWidth: 2,
+                    spanGaps: false,
+                    fill: false
+                }))
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'bottom'
+                },
+                tooltip: {
+                    mode: 'index',
+                    intersect: false,
+                    callbacks: {
+                        title: (context) => days[context[0].dataIndex].date,
+                        label: (context) => (context.parsed.y === null
+                            ? null
+                            : `${context.dataset.label}: ${context.parsed.y.toFixed(1)} cm`)
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    ticks: {
+                        maxRotation: 0,
+                        autoSkip: true,
+                        maxTicksLimit: 12
+                    },
+                    grid: {
+                        display: false
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Snöfall (cm)'
+                    },
+                    beginAtZero: true
+                }
+            }
+        }
+    });
+
+    const loadingElement = document.querySelector('#daysChart').nextElementSibling;
+    if (loadingElement && loadingElement.classList.contains('loading')) {
+        loadingElement.style.display = 'none';
+    }
+}
+
+/**
+ * Render the scores by lead time as a table
+ */
+function renderTable(verification) {
+    const tableBody = document.getElementById('skillTableBody');
+    if (!tableBody) return;
+
+    tableBody.innerHTML = verification.leadTimes.map(entry => `
+        <tr>
+            <td>${getLeadLabel(entry.lead)}</td>
+            <td>${entry.days}</td>
+            <td>${formatBias(entry.bias)}</td>
+            <td>${entry.mae.toFixed(1)} cm</td>
+            <td>${formatShare(entry.hitRate)} <span class="skill-count">(${entry.hits}/${entry.events})</span></td>
+            <td>${formatShare(entry.falseAlarmRatio)} <span class="skill-count">(${entry.falseAlarms})</span></td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Show error message
+ */
+function showError(message) {
+    document.querySelectorAll('.chart-container').forEach(container => {
+        container.innerHTML = `<div class="error">${message}</div>`;
+    });
+}
+
+/**
+ * Initialize the verification page
+ */
+async function initSkill() {
+    initStationSelector(currentStation);
+
+    const subtitleEl = document.getElementById('subtitle');
+    if (subtitleEl) {
+        subtitleEl.textContent = `Hur bra är snöprognosen för ${currentStation.name}?`;
+    }
+    document.title = `isitfluffy - Prognosträff ${currentStation.name}`;
+
+    try {
+        const verification = await fetchVerification();
+        if (!verification || verification.leadTimes.length === 0) {
+            showError('Inga verifierade prognoser ännu');
+            return;
+        }
+
+        renderStats(verification);
+        renderLeadChart(verification);
+        renderDaysChart(verification);
+        renderTable(verification);
+    } catch (error) {
+        console.error('Error initializing verification page:', error);
+        showError(`Fel vid laddning: ${error.message}`);
+    }
+}
+
+// Initialize when page loads
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initSkill);
+} else {
+    initSkill();
+}
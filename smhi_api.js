@@ -2,18 +2,30 @@
  * Shared SMHI API utilities for both Node.js and browser
  */
 
-// SMHI API configuration
-const STATION_ID = 124300;
+// SMHI API configuration (stations are listed in stations.js)
 const PARAMETER_CODES = {
   temperature: 1,
   precipitation: 7,
   wind_direction: 3,  // Parameter 3: Vindriktning (Wind direction in degrees)
-  // wind_gust: 18,  // Not available for station 124300
-  humidity: 5,
+  // wind_gust: 18,  // Not available for station 124300 (Klövsjö)
+  humidity: 6,        // Parameter 6: Relativ luftfuktighet (%), 1/h (5 is daily precipitation)
   wind_speed: 4,      // Parameter 4: Vindhastighet (Wind speed in m/s)
-  visibility: 19
+  visibility: 12,      // Parameter 12: Sikt (m), 1/h (19 is daily minimum temperature)
+  snow_depth: 8,      // Parameter 8: Snödjup (m), once a day at 06 UTC
+  dew_point: 39,      // Parameter 39: Daggpunktstemperatur (°C), 1/h
+  pressure: 9,        // Parameter 9: Lufttryck reducerat till havsytans nivå (hPa), 1/h
+  present_weather: 13 // Parameter 13: Rådande väder (WMO weather code), manned and some automatic stations
 };
 
+// Point forecast API (pmp3g); the base URL can point at a local stand-in, see forecast_server.js
+const FORECAST_BASE_URL = 'https://opendata-download-metfcst.smhi.se';
+
+// Parameters that many stations don't publish; a missing series is expected, not an error
+const OPTIONAL_PARAMETERS = ['visibility', 'snow_depth', 'dew_point', 'pressure', 'present_weather'];
+
+// Parameters with only one reading a day, not useful for the last 24 hours
+const DAILY_PARAMETERS = ['snow_depth'];
+
 /**
  * Parse SMHI timestamp to Date object
  * SMHI API returns timestamps as Unix timestamps (milliseconds) in the 'date' field
@@ -48,8 +60,9 @@ function parseSMHITimestamp(timestamp) {
 }
 
 /**
- * Parse SMHI API entry and extract timestamp and value
+ * Parse SMHI API entry and extract timestamp, value and quality code
  * Handles multiple timestamp formats: date, dateTime, time, from (Unix timestamp), ref (date string)
+ * Quality is SMHI's code for the value (G = approved, Y = suspect or not yet checked), or null if missing
  */
 function parseSMHIEntry(entry) {
   let timestamp = null;
@@ -84,7 +97,50 @@ function parseSMHIEntry(entry) {
     return null;
   }
   
-  return { timestamp, value };
+  const quality = typeof entry.quality === 'string' ? entry.quality : null;
+  
+  return { timestamp, value, quality };
+}
+
+/**
+ * Parse SMHI CSV download (corrected archive / raw files from smhi.se)
+ * Format: semicolon-separated, metadata header followed by rows like
+ *   2024-11-01;06:00:00;-3.4;G
+ * Rows are recognized by their date;time prefix, so header length does not matter.
+ * The quality code (Kvalitet) is the column right after the value.
+ * @param {string} content - CSV text
+ * @param {number} valueColumnIndex - Column holding the value (default 2)
+ * @returns {Array<{timestamp: Date, value: number, quality: string|null}>}
+ */
+function parseSMHIArchiveCSV(content, valueColumnIndex = 2) {
+  const data = [];
+  for (const rawLine of content.split('\n')) {
+    const line = rawLine.trim();
+    if (!/^\d{4}-\d{2}-\d{2};\d{2}:\d{2}:\d{2};/.test(line)) continue;
+
+    const parts = line.split(';');
+    const valueStr = parts[valueColumnIndex];
+    if (!valueStr) continue;
+
+    const timestamp = new Date(`${parts[0]}T${parts[1]}Z`); // UTC
+    if (isNaN(timestamp.getTime())) continue;
+
+    const value = parseFloat(valueStr);
+    if (isNaN(value)) continue;
+
+    data.push({ timestamp, value, quality: parts[valueColumnIndex + 1] || null });
+  }
+  return data;
+}
+
+/**
+ * Get fetch function: node-fetch in Node.js, native fetch in browser
+ */
+function getFetchFunction() {
+  if (typeof fetch !== 'undefined') {
+    return fetch; // Browser
+  }
+  return require('node-fetch'); // Node.js
 }
 
 /**
@@ -95,13 +151,7 @@ async function fetchSMHIData(parameter, stationId, period = 'latest-hour') {
   // SMHI API format: https://opendata-download-metobs.smhi.se/api/version/latest/parameter/{parameter}/station/{station}/period/{period}/data.json
   const url = `https://opendata-download-metobs.smhi.se/api/version/latest/parameter/${parameter}/station/${stationId}/period/${period}/data.json`;
   
-  let fetchFn;
-  // Use node-fetch in Node.js, native fetch in browser
-  if (typeof fetch !== 'undefined') {
-    fetchFn = fetch; // Browser
-  } else {
-    fetchFn = require('node-fetch'); // Node.js
-  }
+  const fetchFn = getFetchFunction();
   
   try {
     const response = await fetchFn(url);
@@ -116,14 +166,51 @@ async function fetchSMHIData(parameter, stationId, period = 'latest-hour') {
   }
 }
 
+/**
+ * Fetch the corrected archive (all quality-controlled history) for a parameter as CSV text
+ * The archive is only published as CSV; parse it with parseSMHIArchiveCSV
+ */
+async function fetchSMHIArchiveCSV(parameter, stationId) {
+  const url = `https://opendata-download-metobs.smhi.se/api/version/latest/parameter/${parameter}/station/${stationId}/period/corrected-archive/data.csv`;
+
+  const response = await getFetchFunction()(url);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return response.text();
+}
+
+/**
+ * Fetch SMHI's point forecast (pmp3g, about 10 days ahead) for a position
+ * @param {number} longitude - Degrees east
+ * @param {number} latitude - Degrees north
+ * @param {string} baseUrl - API host, FORECAST_BASE_URL or a local stand-in
+ * @returns {Promise<Object>} Forecast JSON with timeSeries
+ */
+async function fetchPointForecast(longitude, latitude, baseUrl = FORECAST_BASE_URL) {
+  const url = `${baseUrl}/api/category/pmp3g/version/2/geotype/point/lon/${longitude}/lat/${latitude}/data.json`;
+
+  const response = await getFetchFunction()(url);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return response.json();
+}
+
 // Export for Node.js
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
-    STATION_ID,
     PARAMETER_CODES,
+    OPTIONAL_PARAMETERS,
+    DAILY_PARAMETERS,
     parseSMHITimestamp,
     parseSMHIEntry,
-    fetchSMHIData
+    parseSMHIArchiveCSV,
+    fetchSMHIData,
+    fetchSMHIArchiveCSV,
+    getFetchFunction,
+    FORECAST_BASE_URL,
+    fetchPointForecast
   };
 }
 
@@ -1,55 +1,456 @@
 
+/**
+ * Standardvärden för modellens konstanter (kalibreras med calibrate.js)
+ * - baseSlr: SLR vid wet bulb 0°C (tung blötsnö)
+ * - nearZeroSlope: SLR-ökning per grad mellan 0°C och -2°C
+ * - coldSlope: SLR-ökning per grad under -2°C
+ * - windThreshold: vind (m/s) där kristallerna börjar slås sönder
+ * - windDecay: exponentiell avtagning per m/s över tröskeln
+ * - phaseMidpoint: wet bulb (°C) där hälften faller som snö
+ * - phaseHalfWidth: halva bredden (°C) på övergångszonen mellan snö och regn
+ */
+const DEFAULT_SNOWFALL_PARAMS = {
+  baseSlr: 8,
+  nearZeroSlope: 1,
+  coldSlope: 1.15,
+  windThreshold: 2.5,
+  windDecay: 0.08,
+  phaseMidpoint: 1.0,
+  phaseHalfWidth: 1.0
+};
+
+// Standardtryck vid havsytan (hPa)
+const STANDARD_PRESSURE = 1013.25;
+
+/**
+ * Mättnadsångtryck (hPa) enligt Magnus-formeln, över vatten eller is
+ * @param {number} temp - Temperatur i °C
+ * @param {boolean} overIce - Över is i stället för vatten
+ */
+const saturationVaporPressure = (temp, overIce = false) => (overIce
+  ? 6.112 * Math.exp((22.46 * temp) / (272.62 + temp))
+  : 6.112 * Math.exp((17.62 * temp) / (243.12 + temp)));
+
+/**
+ * Daggpunkt (°C) från temperatur och relativ fuktighet (Magnus, över vatten)
+ */
+const dewPointFromHumidity = (temp, hum) => {
+  const gamma = Math.log(Math.max(hum, 1) / 100) + (17.62 * temp) / (243.12 + temp);
+  return (243.12 * gamma) / (17.62 - gamma);
+};
+
+/**
+ * Relativ fuktighet (%) från temperatur och daggpunkt
+ */
+const humidityFromDewPoint = (temp, dewPoint) => Math.min(
+  100,
+  (100 * saturationVaporPressure(dewPoint)) / saturationVaporPressure(temp)
+);
+
+/**
+ * Lufttryck vid stationen (hPa)
+ * SMHI:s lufttryck (parameter 9) är reducerat till havsytans nivå; utan mätning används
+ * standardatmosfären. Skalhöjden räknas på medeltemperaturen i luftpelaren under stationen.
+ * @param {number|undefined} seaLevelPressure - Tryck reducerat till havsytan (hPa)
+ * @param {number} elevation - Stationens höjd över havet (m)
+ * @param {number} temp - Temperatur vid stationen i °C
+ */
+const getStationPressure = (seaLevelPressure, elevation = 0, temp = 0) => {
+  const pressure = seaLevelPressure > 0 ? seaLevelPressure : STANDARD_PRESSURE;
+  const meanTempK = temp + 273.15 + 0.0065 * elevation / 2;
+  return pressure * Math.exp(-elevation / (29.27 * meanTempK));
+};
+
+/**
+ * Wet bulb-metoder
+ * - simple: grov tumregel, temp - (100 - fuktighet) / 10
+ * - stull: Stulls empiriska formel (2011) från temperatur och fuktighet, vid havsytans tryck
+ * - psychrometric: löser psykrometerekvationen med daggpunkt och lufttryck vid stationen
+ *   e = es(Tw) - A * p * (T - Tw), med is-konstanter när Tw < 0°C
+ * Varje metod får { temp, hum, dewPoint, pressure } (°C, %, °C, hPa vid stationen)
+ */
+const WET_BULB_METHODS = {
+  simple: {
+    label: 'Tumregel',
+    calculate: ({ temp, hum }) => temp - ((100 - hum) / 10)
+  },
+  stull: {
+    label: 'Stull',
+    calculate: ({ temp, hum }) => {
+      const rh = Math.min(Math.max(hum, 5), 99); // Formeln gäller för 5-99%
+      return temp * Math.atan(0.151977 * Math.sqrt(rh + 8.313659))
+        + Math.atan(temp + rh)
+        - Math.atan(rh - 1.676331)
+        + 0.00391838 * Math.pow(rh, 1.5) * Math.atan(0.023101 * rh)
+        - 4.686035;
+    }
+  },
+  psychrometric: {
+    label: 'Psykrometrisk',
+    calculate: ({ temp, dewPoint, pressure }) => {
+      const vaporPressure = saturationVaporPressure(dewPoint);
+      // f(Tw) ökar med Tw och har sitt nollställe mellan daggpunkten och temperaturen
+      const f = (wetBulb) => {
+        const overIce = wetBulb < 0;
+        const psychrometerConstant = overIce ? 5.75e-4 : 6.53e-4;
+        return saturationVaporPressure(wetBulb, overIce)
+          - psychrometerConstant * pressure * (temp - wetBulb)
+          - vaporPressure;
+      };
+      let low = Math.min(dewPoint, temp) - 1;
+      let high = temp + 1;
+      for (let i = 0; i < 40; i++) {
+        const mid = (low + high) / 2;
+        if (f(mid) > 0) high = mid; else low = mid;
+      }
+      // Övermättnad mot is (under 0°C) kan ge en is-wet bulb över temperaturen; den räknas som temperaturen
+      return Math.min((low + high) / 2, temp);
+    }
+  }
+};
+
+// Metoden sparas per dygn i wet_bulb_method; fetch_data.js och aggregate_historic.js väljer en annan med --wet-bulb
+const DEFAULT_WET_BULB_METHOD = 'psychrometric';
+
+/**
+ * Beräknar wet bulb-temperaturen (°C)
+ * Saknas daggpunkten räknas den fram ur fuktigheten och tvärtom; saknas trycket används havsytans standardtryck.
+ * @param {number} temp - Temperatur i °C
+ * @param {number} hum - Luftfuktighet i % (0-100)
+ * @param {Object} options
+ * @param {string} options.method - Nyckel i WET_BULB_METHODS
+ * @param {number} options.dewPoint - Daggpunkt i °C
+ * @param {number} options.pressure - Lufttryck vid stationen i hPa (se getStationPressure)
+ * @returns {number}
+ */
+const calculateWetBulb = (temp, hum, { method = DEFAULT_WET_BULB_METHOD, dewPoint, pressure } = {}) => {
+  const wetBulbMethod = WET_BULB_METHODS[method];
+  if (!wetBulbMethod) {
+    throw new Error(`Okänd wet bulb-metod: ${method}`);
+  }
+  const hasDewPoint = typeof dewPoint === 'number' && !isNaN(dewPoint);
+  return wetBulbMethod.calculate({
+    temp,
+    hum: hasDewPoint ? humidityFromDewPoint(temp, dewPoint) : hum,
+    dewPoint: hasDewPoint ? Math.min(dewPoint, temp) : dewPointFromHumidity(temp, hum),
+    pressure: pressure > 0 ? pressure : STANDARD_PRESSURE
+  });
+};
+
+/**
+ * SLR-modeller (Snow-to-Liquid Ratio)
+ * Varje modell ger en bas-SLR innan vindfaktorn; tak 5-30 och snöandelen
+ * (se getSnowFraction) gäller för alla modeller.
+ * - label: namn i gränssnittet
+ * - windCompaction: om vinden får slå sönder kristallerna (se windThreshold/windDecay)
+ * - baseSlr(wetBulb, temp, params): SLR före tak och vind
+ */
+const SLR_MODELS = {
+  // Nuvarande modell: linjär kurva mot wet bulb, kalibreras med calibrate.js
+  linear: {
+    label: 'Wet bulb (linjär)',
+    windCompaction: true,
+    baseSlr: (wetBulb, temp, { baseSlr, nearZeroSlope, coldSlope }) => {
+      // Interpolerar mellan tung blötsnö och fluffig dendrit-snö
+      const slrAtMinus2 = baseSlr + 2 * nearZeroSlope;
+      return wetBulb >= -2
+        ? baseSlr + (wetBulb * -nearZeroSlope)       // 0°C -> 8, -2°C -> 10
+        : slrAtMinus2 + ((-2 - wetBulb) * coldSlope); // Linjär ökning mot kylan
+    }
+  },
+  // Kuchera: 12 + 2 * (271.16 K - Tmax) över -2°C, annars 12 + (271.16 K - Tmax).
+  // Vi har ingen profil genom atmosfären, så temperaturen vid marken får ersätta Tmax.
+  kuchera: {
+    label: 'Kuchera',
+    windCompaction: true,
+    baseSlr: (wetBulb, temp) => (temp > -2 ? 12 + (-2 - temp) * 2 : 12 + (-2 - temp))
+  },
+  // Klassisk tumregel: 1 mm blir 1 cm, oavsett väder
+  constant: {
+    label: 'Konstant 10:1',
+    windCompaction: false,
+    baseSlr: () => 10
+  }
+};
+
+const DEFAULT_SLR_MODEL = 'linear';
+
+/**
+ * Kolumnnamn för snöfall per modell i de dagliga CSV-filerna
+ * Standardmodellen skriver till snow_cm, övriga till snow_cm_<modell>.
+ * @param {string} model - Nyckel i SLR_MODELS
+ * @returns {string}
+ */
+const getSnowColumn = (model = DEFAULT_SLR_MODEL) => (
+  model === DEFAULT_SLR_MODEL ? 'snow_cm' : `snow_cm_${model}`
+);
+
+/**
+ * Andel av nederbörden som faller som snö (0-1)
+ * Helt snö under övergångszonen, helt regn över den och en mjuk S-kurva (smoothstep) däremellan.
+ * @param {number} wetBulb - Wet bulb i °C
+ * @param {Object} params - Modellens konstanter (phaseMidpoint, phaseHalfWidth)
+ * @returns {number}
+ */
+const getSnowFraction = (wetBulb, params = DEFAULT_SNOWFALL_PARAMS) => {
+  const { phaseMidpoint, phaseHalfWidth } = { ...DEFAULT_SNOWFALL_PARAMS, ...params };
+  if (phaseHalfWidth <= 0) return wetBulb > phaseMidpoint ? 0 : 1;
+
+  const t = Math.min(Math.max((wetBulb - (phaseMidpoint - phaseHalfWidth)) / (2 * phaseHalfWidth), 0), 1);
+  return 1 - t * t * (3 - 2 * t);
+};
+
+/**
+ * Nederbördsmätarens fångsteffektivitet i vind (WMO SPICE, Kochendorfer m.fl. 2017)
+ * CE = exp(-a * U * (1 - atan(b * T) + c)), U = vind i mätarhöjd (högst maxWind), T = temperatur
+ * Koefficienterna gäller vind i mätarhöjd; SMHI mäter vinden på 10 m.
+ */
+const GAUGE_SHIELDS = {
+  singleAlter: { label: 'enkel Alter-skärm', a: 0.0348, b: 1.366, c: 0.779, maxWind: 7.2 },
+  unshielded: { label: 'utan vindskydd', a: 0.0785, b: 0.729, c: 0.407, maxWind: 6.1 }
+};
+
+const DEFAULT_GAUGE_SHIELD = 'singleAlter';
+
+// Vind på 10 m -> mätarhöjd (ca 2 m) med logaritmisk vindprofil över snö (z0 = 1 cm): ln(200) / ln(1000)
+const GAUGE_HEIGHT_WIND_FACTOR = 0.77;
+
+// Över +2°C är nederbörden i stort sett regn, som mätaren fångar bra; SPICE-funktionen gäller inte där
+const CATCH_CORRECTION_MAX_TEMP = 2;
+
+/**
+ * Andel av nederbörden som hamnar i mätaren (0-1)
+ * @param {number} wind - Vind på 10 m i m/s
+ * @param {number} temp - Temperatur i °C
+ * @param {string} shield - Nyckel i GAUGE_SHIELDS
+ * @returns {number}
+ */
+const getCatchEfficiency = (wind, temp, shield = DEFAULT_GAUGE_SHIELD) => {
+  const gauge = GAUGE_SHIELDS[shield];
+  if (!gauge) {
+    throw new Error(`Okänd mätarskärm: ${shield}`);
+  }
+  if (temp > CATCH_CORRECTION_MAX_TEMP) return 1;
+
+  const gaugeWind = Math.min(Math.max(wind, 0) * GAUGE_HEIGHT_WIND_FACTOR, gauge.maxWind);
+  return Math.min(1, Math.exp(-gauge.a * gaugeWind * (1 - Math.atan(gauge.b * temp) + gauge.c)));
+};
+
+/**
+ * Nederbördstyper från rådande väder (SMHI parameter 13) och deras snöandel
+ * Kornsnö/småhagel räknas som snö.
+ */
+const PRECIPITATION_TYPES = {
+  snow: { label: 'snö', snowFraction: 1 },
+  graupel: { label: 'kornsnö/hagel', snowFraction: 1 },
+  sleet: { label: 'snöblandat regn', snowFraction: 0.5 },
+  rain: { label: 'regn', snowFraction: 0 }
+};
+
+// Väderkoder per nederbördstyp: WMO 4677 (ww, manuella stationer, 0-99) och
+// WMO 4680 (wawa, automatstationer, som SMHI redovisar som 100-199)
+const PRESENT_WEATHER_CODES = {
+  snow: [22, 26, 70, 71, 72, 73, 74, 75, 76, 77, 78, 85, 86, 124, 170, 171, 172, 173, 177, 178, 185, 186, 187],
+  graupel: [27, 79, 87, 88, 89, 90, 96, 99, 174, 175, 176, 189, 193, 196],
+  sleet: [23, 68, 69, 83, 84, 93, 94, 167, 168],
+  rain: [
+    20, 21, 24, 25, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67,
+    80, 81, 82, 91, 92, 95, 97, 122, 123, 125,
+    150, 151, 152, 153, 154, 155, 156, 157, 158, 160, 161, 162, 163, 164, 165, 166, 181, 182, 183, 184
+  ]
+};
+
+/**
+ * Tolkar en väderkod som nederbördstyp
+ * @param {number} code - Rådande väder (SMHI parameter 13)
+ * @returns {string|null} Nyckel i PRECIPITATION_TYPES, null om koden inte anger nederbördstyp
+ */
+const classifyPresentWeather = (code) => {
+  if (typeof code !== 'number' || isNaN(code)) return null;
+  const type = Object.keys(PRESENT_WEATHER_CODES).find(key => PRESENT_WEATHER_CODES[key].includes(Math.round(code)));
+  return type || null;
+};
+
 /**
  * Beräknar snödjup i cm från nederbörd i mm.
+ * I övergångszonen delas nederbörden i en snödel och en regndel (snowFraction, rainMm);
+ * timmar som är helt regn returnerar som tidigare amount = -mm och slr = -1.
  * Tar hänsyn till temperatur, vind och luftfuktighet (wet bulb).
  *
- * @todo lägg till en ackumulerande variabel som förklarar beräkningen av snödjupet, returned
- * @todo returnera SLR (Snow-to-Liquid Ratio) i tillägg till snödjupet
+ * Med options.trace returneras även en steg-för-steg-förklaring (trace), en lista med
+ * { step, value, text } för stegen precipitation, catchCorrection (bara med vindkorrigering), wetBulb,
+ * phase, baseSlr, clamp, windFactor och amount.
+ * Beräkningen stannar efter phase för regn och efter precipitation utan nederbörd.
  * 
  * @param {number} mm - Nederbörd i mm
  * @param {number} temp - Temperatur i °C
  * @param {number} wind - Vind i m/s
  * @param {number} hum - Luftfuktighet i % (0-100)
- * @returns {Object} Objekt med snödjup (amount) och fluffighetsfaktor (slr)
+ * @param {Object} params - Modellens konstanter (se DEFAULT_SNOWFALL_PARAMS)
+ * @param {string} model - SLR-modell (nyckel i SLR_MODELS)
+ * @param {Object} options
+ * @param {boolean} options.trace - Returnera trace med förklaringen
+ * @param {string} options.wetBulbMethod - Wet bulb-metod (nyckel i WET_BULB_METHODS)
+ * @param {number} options.dewPoint - Daggpunkt i °C (används i stället för hum när den finns)
+ * @param {number} options.pressure - Lufttryck vid stationen i hPa
+ * @param {string} options.observedType - Observerad nederbördstyp (nyckel i PRECIPITATION_TYPES),
+ *   ersätter snöandelen från wet bulb
+ * @param {string|null} options.catchCorrection - Mätarskärm (nyckel i GAUGE_SHIELDS) för att räkna upp
+ *   nederbörden för vindförluster, null för uppmätt nederbörd
+ * @returns {Object} Objekt med snödjup (amount), fluffighetsfaktor (slr), snöandel (snowFraction),
+ *   regn i mm (rainMm) och ev. trace
  */
-const calculateSnowfall = (temp, mm, wind, hum = 100) => {
+const calculateSnowfall = (temp, mm, wind, hum = 100, params = DEFAULT_SNOWFALL_PARAMS, model = DEFAULT_SLR_MODEL, options = {}) => {
+  const constants = { ...DEFAULT_SNOWFALL_PARAMS, ...params };
+  const { windThreshold, windDecay } = constants;
+  const slrModel = SLR_MODELS[model];
+  if (!slrModel) {
+    throw new Error(`Okänd SLR-modell: ${model}`);
+  }
+
+  // Förklaringen byggs bara upp när den efterfrågas
+  const trace = options.trace ? [] : null;
+  const explain = (step, value, text) => {
+    if (trace) trace.push({ step, value, text });
+  };
+  const result = (amount, slr, snowFraction, rainMm) => (trace
+    ? { amount, slr, snowFraction, rainMm, trace }
+    : { amount, slr, snowFraction, rainMm });
+
   // Fail fast: Ingen nederbörd
-  if (!mm || mm <= 0) return { amount: 0, slr: 0 };
+  if (!mm || mm <= 0) {
+    explain('precipitation', 0, 'Ingen nederbörd');
+    return result(0, 0, 0, 0);
+  }
+  explain('precipitation', mm, `Nederbörd: ${mm.toFixed(1)} mm`);
+
+  // 0. Vindkorrigering: mätaren fångar mindre snö ju mer det blåser, räkna upp innan allt annat
+  if (options.catchCorrection) {
+    const catchEfficiency = getCatchEfficiency(wind, temp, options.catchCorrection);
+    const measuredMm = mm;
+    mm = measuredMm / catchEfficiency;
+    explain('catchCorrection', catchEfficiency,
+      `Vindkorrigerad: ${measuredMm.toFixed(1)} mm / ${catchEfficiency.toFixed(2)} = ${mm.toFixed(1)} mm (${GAUGE_SHIELDS[options.catchCorrection].label})`);
+  }
 
-  // 1. Wet Bulb Approximation (Kritisk för gränslandet regn/snö)
+  // 1. Wet Bulb (Kritisk för gränslandet regn/snö)
   // I torr luft (låg hum) kan det snöa även vid plusgrader.
-  const wetBulb = temp - ((100 - hum) / 10);
+  const { wetBulbMethod = DEFAULT_WET_BULB_METHOD, dewPoint, pressure } = options;
+  const wetBulb = calculateWetBulb(temp, hum, { method: wetBulbMethod, dewPoint, pressure });
+  const moisture = typeof dewPoint === 'number' && !isNaN(dewPoint)
+    ? `daggpunkt ${dewPoint.toFixed(1)}°C`
+    : `${Math.round(hum)}% fuktighet`;
+  explain('wetBulb', wetBulb, `Wet bulb (${WET_BULB_METHODS[wetBulbMethod].label}): ${wetBulb.toFixed(1)}°C (${temp.toFixed(1)}°C, ${moisture})`);
+
+  // Snöandel genom övergångszonen, eller från observerad nederbördstyp när stationen rapporterar den
+  const { phaseMidpoint, phaseHalfWidth } = constants;
+  const observed = PRECIPITATION_TYPES[options.observedType];
+  const snowFraction = observed
+    ? observed.snowFraction
+    : Number(getSnowFraction(wetBulb, constants).toFixed(3));
+  const zone = observed
+    ? `observerat: ${observed.label}`
+    : `zon ${(phaseMidpoint - phaseHalfWidth).toFixed(1)} till ${(phaseMidpoint + phaseHalfWidth).toFixed(1)}°C`;
 
   // Fail fast: För varmt för snö (även med wet bulb-effekt)
   // Returnera -1*mm, -1 för att indikera regn
-  if (wetBulb > 1.0) return { amount: -1*mm, slr: -1 };
+  if (snowFraction === 0) {
+    explain('phase', 0, observed ? `Regn (${zone})` : `Regn: wet bulb över övergångszonen (${zone})`);
+    return result(-1*mm, -1, 0, mm);
+  }
+  const snowMm = mm * snowFraction;
+  const rainMm = Number((mm - snowMm).toFixed(2));
+  explain('phase', snowFraction, snowFraction === 1
+    ? (observed ? `Snö (${zone})` : `Snö: wet bulb under övergångszonen (${zone})`)
+    : `Blandat: ${Math.round(snowFraction * 100)}% snö, ${rainMm.toFixed(1)} mm regn (${zone})`);
 
-  // 2. Beräkna Base SLR (Snow-to-Liquid Ratio)
-  // Interpolerar mellan tung blötsnö och fluffig dendrit-snö
-  let slr = wetBulb >= -2
-    ? 8 + (wetBulb * -1)            // 0°C -> 8, -2°C -> 10
-    : 10 + ((-2 - wetBulb) * 1.15); // Linjär ökning mot kylan
+  // 2. Beräkna Base SLR (Snow-to-Liquid Ratio) med vald modell
+  let slr = slrModel.baseSlr(wetBulb, temp, constants);
+  explain('baseSlr', slr, `Bas-SLR: ${slr.toFixed(1)} (${slrModel.label})`);
 
   // Cap: SLR når sällan över 30 (extremt fluff) eller under 5 (slask)
   // Vi låter den plana ut vid -15°C (där slr blir ca 25)
-  slr = Math.min(Math.max(slr, 5), 30);
+  const cappedSlr = Math.min(Math.max(slr, 5), 30);
+  explain('clamp', cappedSlr, cappedSlr === slr
+    ? 'SLR inom 5-30'
+    : `SLR begränsad till ${cappedSlr} (tillåtet 5-30)`);
+  slr = cappedSlr;
 
   // 3. Vindfaktor (Wind Compaction)
   // Vind > 2.5 m/s slår sönder kristallerna exponentiellt
-  const windFactor = wind <= 2.5 
+  const windFactor = !slrModel.windCompaction || wind <= windThreshold 
     ? 1.0 
-    : Math.exp(-0.08 * (wind - 2.5));
+    : Math.exp(-windDecay * (wind - windThreshold));
+  explain('windFactor', windFactor, !slrModel.windCompaction
+    ? 'Vindfaktor: 1.00 (används inte av modellen)'
+    : `Vindfaktor: ${windFactor.toFixed(2)} (${wind.toFixed(1)} m/s, tröskel ${windThreshold} m/s)`);
 
-  // 4. Resultat: mm * ratio * vind / 10 (för att få cm)
-  const amount = Number(((mm * slr * windFactor) / 10).toFixed(2));
+  // 4. Resultat: snö-mm * ratio * vind / 10 (för att få cm)
+  const amount = Number(((snowMm * slr * windFactor) / 10).toFixed(2));
+  explain('amount', amount, `${snowMm.toFixed(1)} mm × ${slr.toFixed(1)} × ${windFactor.toFixed(2)} / 10 = ${amount.toFixed(2)} cm`);
   
-  return {
-    amount,
-    slr: Number(slr.toFixed(1))
-  };
+  return result(amount, Number(slr.toFixed(1)), snowFraction, rainMm);
 };
 
+/**
+ * Beräknar snöfallet för en timpost (weather_data.csv eller SMHI:s senaste dygn)
+ * Samlar standardvärdena för saknade värden: vind 0 m/s, fuktighet 90%.
+ * Rådande väder (present_weather) ersätter wet bulb-gissningen av nederbördstypen om inte
+ * phaseSource är 'model'.
+ * @param {Object} hour - { temperature, precipitation, wind_speed, humidity, dew_point, pressure, present_weather }
+ * @param {Object} options
+ * @param {number} options.elevation - Stationens höjd (m), för trycket vid stationen
+ * @param {Object} options.params - Modellens konstanter (se DEFAULT_SNOWFALL_PARAMS)
+ * @param {string} options.model - SLR-modell (nyckel i SLR_MODELS)
+ * @param {string} options.wetBulbMethod - Wet bulb-metod (nyckel i WET_BULB_METHODS)
+ * @param {string} options.phaseSource - 'observed' (rådande väder när det finns) eller 'model' (bara wet bulb)
+ * @param {string|null} options.catchCorrection - Mätarskärm för vindkorrigering (se GAUGE_SHIELDS), null = av
+ * @param {boolean} options.trace - Returnera trace med förklaringen
+ * @returns {Object} Se calculateSnowfall
+ */
+const calculateSnowfallForHour = (hour, {
+  elevation = 0,
+  params = DEFAULT_SNOWFALL_PARAMS,
+  model = DEFAULT_SLR_MODEL,
+  wetBulbMethod = DEFAULT_WET_BULB_METHOD,
+  phaseSource = 'observed',
+  catchCorrection = null,
+  trace = false
+} = {}) => calculateSnowfall(
+  hour.temperature,
+  hour.precipitation,
+  hour.wind_speed || 0,
+  hour.humidity || 90,
+  params,
+  model,
+  {
+    trace,
+    wetBulbMethod,
+    dewPoint: hour.dew_point ?? undefined,
+    pressure: getStationPressure(hour.pressure ?? undefined, elevation, hour.temperature),
+    observedType: phaseSource === 'observed' ? classifyPresentWeather(hour.present_weather) : null,
+    catchCorrection
+  }
+);
+
 // Export for Node.js
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { calculateSnowfall };
+  module.exports = {
+    calculateSnowfall,
+    calculateSnowfallForHour,
+    calculateWetBulb,
+    getStationPressure,
+    getSnowFraction,
+    getCatchEfficiency,
+    GAUGE_SHIELDS,
+    DEFAULT_GAUGE_SHIELD,
+    classifyPresentWeather,
+    PRECIPITATION_TYPES,
+    DEFAULT_SNOWFALL_PARAMS,
+    WET_BULB_METHODS,
+    DEFAULT_WET_BULB_METHOD,
+    SLR_MODELS,
+    DEFAULT_SLR_MODEL,
+    getSnowColumn
+  };
 }
@@ -0,0 +1,134 @@
+const { calculateSnowfallForHour, DEFAULT_WET_BULB_METHOD } = require('./snowfall.js');
+const { getMetDayKey, applyQualityPolicy, DEFAULT_QUALITY_POLICY } = require('./daily_aggregation.js');
+
+/**
+ * Simple hourly snowpack model.
+ *
+ * The pack is tracked as snow water equivalent (SWE, mm) and depth (cm):
+ * - New snow adds its share of the precipitation to SWE and its computed depth (calculateSnowfall) to depth
+ * - Settlement: the pack compacts towards MAX_DENSITY, slower in cold weather
+ * - Melt: degree-day melt above 0 °C, plus heat brought by rain (rain-on-snow)
+ * - Rain-on-snow also soaks and collapses the pack, see RAIN_COMPACTION_PER_MM
+ */
+
+// Degree-day factor for snow, mm SWE per °C above 0 per day
+const MELT_FACTOR_MM_PER_DEGREE_DAY = 3.0;
+// Share of the remaining settlement done per hour at 0 °C
+const SETTLEMENT_RATE_PER_HOUR = 0.003;
+// Settlement slows down exponentially with cold (per °C below 0)
+const SETTLEMENT_COLD_FACTOR = 0.04;
+// Density of a fully settled pack (g/cm³)
+const MAX_DENSITY = 0.45;
+// Rain heat melts c_water * T / L_fusion ≈ T / 80 mm SWE per mm of rain
+const RAIN_MELT_DIVISOR = 80;
+// Share of the depth lost per mm of rain falling on the pack
+const RAIN_COMPACTION_PER_MM = 0.01;
+
+/**
+ * Advance the snowpack one hour
+ * @param {{ swe: number, depth: number }} pack - SWE in mm, depth in cm
+ * @param {Object} hour - Hourly record (temperature, precipitation, wind_speed, humidity, dew_point, pressure)
+ * @param {number} elevation - Station elevation (m), for the station pressure in the wet bulb
+ * @param {string} wetBulbMethod - Wet-bulb method (key in WET_BULB_METHODS)
+ * @returns {{ swe: number, depth: number }}
+ */
+function stepSnowpack(pack, hour, elevation = 0, wetBulbMethod = DEFAULT_WET_BULB_METHOD) {
+  let { swe, depth } = pack;
+  const temp = hour.temperature;
+  const precipitation = hour.precipitation > 0 ? hour.precipitation : 0;
+
+  // Hours in the rain/snow transition band are part snow, part rain
+  let rain = 0;
+  if (precipitation > 0) {
+    const snowCalc = calculateSnowfallForHour(hour, { elevation, wetBulbMethod });
+    rain = snowCalc.rainMm;
+    if (snowCalc.amount > 0) {
+      swe += precipitation - snowCalc.rainMm;
+      depth += snowCalc.amount;
+    }
+  }
+
+  if (swe <= 0 || depth <= 0) {
+    return { swe: 0, depth: 0 };
+  }
+
+  // Settlement towards MAX_DENSITY (density = SWE mm / depth mm)
+  const density = swe / (depth * 10);
+  if (density < MAX_DENSITY) {
+    const rate = SETTLEMENT_RATE_PER_HOUR * Math.exp(SETTLEMENT_COLD_FACTOR * Math.min(temp, 0));
+    depth -= depth * rate * (1 - density / MAX_DENSITY);
+  }
+
+  // Degree-day melt and rain-on-snow melt; depth shrinks with SWE at the current density
+  const warmth = Math.max(temp, 0);
+  const melt = Math.min(swe, (MELT_FACTOR_MM_PER_DEGREE_DAY / 24) * warmth + (rain * warmth) / RAIN_MELT_DIVISOR);
+  if (melt > 0) {
+    depth *= 1 - melt / swe;
+    swe -= melt;
+  }
+
+  // Rain soaks into the pack and collapses it
+  if (rain > 0) {
+    depth *= Math.max(0, 1 - RAIN_COMPACTION_PER_MM * rain);
+  }
+
+  // The pack can't get denser than fully settled snow
+  depth = Math.max(depth, swe / (MAX_DENSITY * 10));
+
+  if (swe <= 0.01) {
+    return { swe: 0, depth: 0 };
+  }
+  return { swe, depth };
+}
+
+/**
+ * Run the snowpack model over an hourly series
+ * Hours without temperature and precipitation are skipped (the pack is unchanged).
+ * @param {Array<Object>} hourlyData - Hourly records (see daily_aggregation.js), any order
+ * @param {Object} options
+ * @param {string} options.qualityPolicy - 'drop', 'keep' or 'flag' (default 'flag')
+ * @param {number} options.elevation - Station elevation (m)
+ * @param {string} options.wetBulbMethod - Wet-bulb method (key in WET_BULB_METHODS)
+ * @returns {Map<string, number>} Modeled depth in cm at the end of each met-day (YYYY-MM-DD)
+ */
+function modelSnowpack(hourlyData, {
+  qualityPolicy = DEFAULT_QUALITY_POLICY,
+  elevation = 0,
+  wetBulbMethod = DEFAULT_WET_BULB_METHOD
+} = {}) {
+  const sorted = [...hourlyData].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const depthByDay = new Map();
+  let pack = { swe: 0, depth: 0 };
+
+  for (const record of sorted) {
+    const { hour } = applyQualityPolicy(record, qualityPolicy);
+    if (hour.temperature === undefined || hour.precipitation === undefined) continue;
+
+    pack = stepSnowpack(pack, hour, elevation, wetBulbMethod);
+    depthByDay.set(getMetDayKey(new Date(record.timestamp)), pack.depth);
+  }
+
+  return depthByDay;
+}
+
+/**
+ * Add snowpack_cm (modeled depth at the end of the met-day) to daily rows
+ * The model runs over all hourly data, since the pack carries over from day to day.
+ * @param {Array<Object>} rows - Daily rows with at least { date }
+ * @param {Array<Object>} hourlyData - Hourly records
+ * @param {Object} options - See modelSnowpack
+ * @returns {Array<Object>} rows with snowpack_cm (string, 1 decimal; empty without hourly data)
+ */
+function addSnowpackDepth(rows, hourlyData, options = {}) {
+  const depthByDay = modelSnowpack(hourlyData, options);
+  return rows.map(row => ({
+    ...row,
+    snowpack_cm: depthByDay.has(row.date) ? depthByDay.get(row.date).toFixed(1) : ''
+  }));
+}
+
+module.exports = {
+  stepSnowpack,
+  modelSnowpack,
+  addSnowpackDepth
+};
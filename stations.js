@@ -0,0 +1,153 @@
+/**
+ * Station registry shared by Node.js and the browser.
+ * Each station gets its own data directory: data/<key>/
+ */
+
+const STATIONS = [
+  {
+    key: 'klovsjo',
+    id: 124300,
+    name: 'Klövsjö',
+    elevation: 560,     // meter över havet
+    latitude: 62.53,
+    longitude: 14.17,
+    // Säsonger som inte används i jämförelser (startår -> orsak)
+    excludedSeasons: { 2017: 'trasig mätare' }
+  },
+  {
+    key: 'vemdalen',
+    id: 124090,
+    name: 'Vemdalen',
+    elevation: 640,
+    latitude: 62.45,
+    longitude: 13.87,
+    excludedSeasons: {}
+  },
+  {
+    key: 'are',
+    id: 132180,
+    name: 'Åre',
+    elevation: 380,
+    latitude: 63.40,
+    longitude: 13.08,
+    excludedSeasons: {}
+  },
+  {
+    key: 'salen',
+    id: 104090,
+    name: 'Sälen',
+    elevation: 510,
+    latitude: 61.16,
+    longitude: 13.26,
+    excludedSeasons: {}
+  }
+];
+
+const DEFAULT_STATION_KEY = 'klovsjo';
+
+/**
+ * Look up a station by key (e.g. "klovsjo")
+ * Returns undefined for unknown keys
+ */
+function getStation(key) {
+  return STATIONS.find(station => station.key === key);
+}
+
+/**
+ * Get the default station (Klövsjö)
+ */
+function getDefaultStation() {
+  return getStation(DEFAULT_STATION_KEY);
+}
+
+/**
+ * Get data directory for a station, relative to the repository root
+ * @param {Object} station - Station from the registry
+ * @returns {string} Path like "data/klovsjo"
+ */
+function getStationDataDir(station) {
+  return `data/${station.key}`;
+}
+
+/**
+ * Get the station from a --station=<key> (or --station <key>) command-line argument (Node.js only)
+ * Exits with the known keys for an unknown station.
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {Object|null} The station, or null without --station
+ */
+function parseStationArg(args) {
+  const index = args.findIndex(arg => arg === '--station' || arg.startsWith('--station='));
+  if (index === -1) return null;
+
+  const key = args[index] === '--station' ? args[index + 1] : args[index].split('=')[1];
+  const station = getStation(key);
+  if (!station) {
+    console.error(`Unknown station: ${key} (known: ${STATIONS.map(s => s.key).join(', ')})`);
+    process.exit(1);
+  }
+  return station;
+}
+
+/**
+ * Get station from the "station" URL parameter (browser only)
+ * Falls back to the default station if missing or unknown
+ */
+function getStationFromURL() {
+  const params = new URLSearchParams(window.location.search);
+  return getStation(params.get('station')) || getDefaultStation();
+}
+
+/**
+ * Add station parameter to a relative page URL, e.g. "history.html?year=2020"
+ * The default station is left out to keep URLs short
+ */
+function withStationParam(href, station) {
+  if (!station || station.key === DEFAULT_STATION_KEY) return href;
+  const [pathPart, query = ''] = href.split('?');
+  const params = new URLSearchParams(query);
+  params.set('station', station.key);
+  return `${pathPart}?${params.toString()}`;
+}
+
+/**
+ * Populate the station selector and make page links station-aware (browser only)
+ * Changing station reloads the page with the new station parameter.
+ * @param {Object} station - Currently selected station
+ */
+function initStationSelector(station) {
+  const select = document.getElementById('stationSelect');
+  // history.html loads both app.js and history.js - only initialize once
+  if (select && !select.dataset.initialized) {
+    select.dataset.initialized = 'true';
+    select.innerHTML = STATIONS
+      .map(s => `<option value="${s.key}">${s.name}</option>`)
+      .join('');
+    select.value = station.key;
+
+    select.addEventListener('change', () => {
+      const url = new URL(window.location);
+      url.search = '';
+      if (select.value !== DEFAULT_STATION_KEY) {
+        url.searchParams.set('station', select.value);
+      }
+      window.location.href = url.toString();
+    });
+  }
+
+  // Keep station when navigating between pages
+  document.querySelectorAll('.page-navigation a').forEach(link => {
+    link.setAttribute('href', withStationParam(link.getAttribute('href'), station));
+  });
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    STATIONS,
+    DEFAULT_STATION_KEY,
+    getStation,
+    getDefaultStation,
+    getStationDataDir,
+    parseStationArg
+  };
+}
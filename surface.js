@@ -0,0 +1,205 @@
+const { calculateSnowfallForHour, DEFAULT_WET_BULB_METHOD } = require('./snowfall.js');
+const { getMetDayKey, getHourInCET, applyQualityPolicy, DEFAULT_QUALITY_POLICY } = require('./daily_aggregation.js');
+const { stepDrift } = require('./wind.js');
+const { stepSnowpack } = require('./snowpack.js');
+
+/**
+ * Surface condition classifier.
+ *
+ * Fresh snow alone doesn't say how it skis: a thaw followed by a freeze gives a crust.
+ * The classifier runs hour by hour through the temperature, rain, snow and wind sequence
+ * and keeps track of the surface:
+ * - powder:        at least FRESH_COVER_CM of new snow since the surface was last wet or packed
+ * - packed_powder: powder that has settled for POWDER_AGE_HOURS without new snow
+ * - wind_packed:   powder worked by drifting wind (drift from wind.js above WIND_PACK_DRIFT)
+ * - spring_slush:  melting snow, MELT_HOURS in a row above 0 °C, or rain on the snow
+ * - crust:         a wet surface refrozen by FREEZE_HOURS in a row below FREEZE_TEMP
+ * - ice:           the same after rain, which freezes hard
+ * New snow covers everything once FRESH_COVER_CM has fallen below 0 °C. Without a snowpack
+ * (less than MIN_SNOW_DEPTH_CM in the snowpack model, snowpack.js) there is no surface to classify.
+ * A met-day is labelled with the surface at SKI_HOUR CET (midday on the slopes), or the latest
+ * hour of the day when the day isn't that far yet.
+ */
+
+const SURFACE_CONDITIONS = ['powder', 'packed_powder', 'wind_packed', 'crust', 'ice', 'spring_slush'];
+
+// New snow (cm) that covers the old surface
+const FRESH_COVER_CM = 3;
+// Hours without new snow before powder counts as packed
+const POWDER_AGE_HOURS = 48;
+// Drift (sum of hourly drift in wind.js) that packs powder
+const WIND_PACK_DRIFT = 2;
+// Hours in a row above 0 °C before the surface gets wet
+const MELT_HOURS = 2;
+// A wet surface refreezes after FREEZE_HOURS in a row at or below FREEZE_TEMP (°C)
+const FREEZE_HOURS = 3;
+const FREEZE_TEMP = -1;
+// Modeled snow depth (cm) needed for a surface
+const MIN_SNOW_DEPTH_CM = 2;
+// Hour of the day (CET) the daily label describes
+const SKI_HOUR = 12;
+
+/**
+ * Initial classifier state
+ */
+function createSurfaceState() {
+  return {
+    surface: null,
+    wet: false,          // Surface is wet (melting or rained on)
+    rained: false,       // The wet surface got rain, so it freezes to ice
+    freshSnow: 0,        // New snow (cm) since the surface was last covered, wet or packed
+    hoursSinceSnow: 0,
+    meltHours: 0,
+    freezeHours: 0,
+    windDrift: 0,        // Drift on the current powder
+    looseSnow: 0,        // Loose snow for the drift model, see stepDrift in wind.js
+    pack: { swe: 0, depth: 0 } // Snowpack model, see stepSnowpack in snowpack.js
+  };
+}
+
+/**
+ * Advance the classifier one hour
+ * @param {Object} state - See createSurfaceState
+ * @param {Object} hour - Hourly record (temperature, precipitation, wind_speed, ...)
+ * @param {number} elevation - Station elevation (m), for the station pressure in the wet bulb
+ * @param {string} wetBulbMethod - Wet-bulb method (key in WET_BULB_METHODS)
+ * @returns {Object} New state
+ */
+function stepSurface(state, hour, elevation = 0, wetBulbMethod = DEFAULT_WET_BULB_METHOD) {
+  const next = { ...state };
+  const temp = hour.temperature;
+
+  let snowCm = 0;
+  let rainMm = 0;
+  if (hour.precipitation > 0) {
+    const snowCalc = calculateSnowfallForHour(hour, { elevation, wetBulbMethod });
+    snowCm = snowCalc.amount > 0 ? snowCalc.amount : 0;
+    rainMm = snowCalc.rainMm;
+  }
+
+  const drift = stepDrift(state.looseSnow, hour, elevation, wetBulbMethod);
+  next.looseSnow = drift.looseSnow;
+
+  // Bare ground: start over when the next snow falls
+  next.pack = stepSnowpack(state.pack, hour, elevation, wetBulbMethod);
+  if (next.pack.depth < MIN_SNOW_DEPTH_CM) {
+    return { ...createSurfaceState(), looseSnow: next.looseSnow, pack: next.pack };
+  }
+
+  // Melting and refreezing
+  next.meltHours = temp > 0 ? state.meltHours + 1 : 0;
+  next.freezeHours = temp <= FREEZE_TEMP ? state.freezeHours + 1 : 0;
+
+  if (rainMm > 0 && state.surface !== null) {
+    next.wet = true;
+    next.rained = true;
+  } else if (next.meltHours >= MELT_HOURS && state.surface !== null) {
+    next.wet = true;
+  }
+
+  // New snow
+  if (snowCm > 0) {
+    next.freshSnow += snowCm;
+    next.hoursSinceSnow = 0;
+    // Wet snow falling in thaw doesn't cover the slush
+    if (next.freshSnow >= FRESH_COVER_CM && temp <= 0) {
+      next.surface = 'powder';
+      next.windDrift = 0;
+      next.wet = false;
+      next.rained = false;
+    } else if (next.surface === null) {
+      next.surface = 'powder';
+    }
+  } else {
+    next.hoursSinceSnow++;
+  }
+
+  if (next.wet) {
+    if (next.freezeHours >= FREEZE_HOURS) {
+      next.surface = next.rained ? 'ice' : 'crust';
+      next.wet = false;
+      next.rained = false;
+      next.freshSnow = 0;
+    } else {
+      next.surface = 'spring_slush';
+    }
+    return next;
+  }
+
+  if (next.surface === 'powder') {
+    next.windDrift += drift.drift;
+    if (next.windDrift >= WIND_PACK_DRIFT) {
+      next.surface = 'wind_packed';
+      next.freshSnow = 0;
+    } else if (next.hoursSinceSnow >= POWDER_AGE_HOURS) {
+      next.surface = 'packed_powder';
+      next.freshSnow = 0;
+    }
+  }
+
+  return next;
+}
+
+/**
+ * Run the classifier over an hourly series
+ * Hours without temperature are skipped (the surface is unchanged).
+ * @param {Array<Object>} hourlyData - Hourly records (see daily_aggregation.js), any order
+ * @param {Object} options
+ * @param {string} options.qualityPolicy - 'drop', 'keep' or 'flag' (default 'flag')
+ * @param {number} options.elevation - Station elevation (m)
+ * @param {string} options.wetBulbMethod - Wet-bulb method (key in WET_BULB_METHODS)
+ * @returns {Map<string, string|null>} Surface per met-day (YYYY-MM-DD), key in SURFACE_CONDITIONS
+ */
+function classifySurface(hourlyData, {
+  qualityPolicy = DEFAULT_QUALITY_POLICY,
+  elevation = 0,
+  wetBulbMethod = DEFAULT_WET_BULB_METHOD
+} = {}) {
+  const sorted = [...hourlyData].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const surfaceByDay = new Map();
+  const labelled = new Set();
+  let state = createSurfaceState();
+
+  for (const record of sorted) {
+    const { hour } = applyQualityPolicy(record, qualityPolicy);
+    if (hour.temperature === undefined) continue;
+
+    state = stepSurface(state, hour, elevation, wetBulbMethod);
+
+    // Met-days start at 08 CET, so hours up to SKI_HOUR come first in the day
+    const time = new Date(record.timestamp);
+    const dayKey = getMetDayKey(time);
+    if (labelled.has(dayKey)) continue;
+    surfaceByDay.set(dayKey, state.surface);
+    const hourCET = getHourInCET(time);
+    if (hourCET >= SKI_HOUR) {
+      labelled.add(dayKey);
+    }
+  }
+
+  return surfaceByDay;
+}
+
+/**
+ * Add surface (see SURFACE_CONDITIONS) to daily rows
+ * The classifier runs over all hourly data, since the surface carries over from day to day.
+ * @param {Array<Object>} rows - Daily rows with at least { date }
+ * @param {Array<Object>} hourlyData - Hourly records
+ * @param {Object} options - See classifySurface
+ * @returns {Array<Object>} rows with surface (empty without a snowpack and without hourly data)
+ */
+function addSurfaceCondition(rows, hourlyData, options = {}) {
+  const surfaceByDay = classifySurface(hourlyData, options);
+  return rows.map(row => ({
+    ...row,
+    surface: surfaceByDay.get(row.date) || ''
+  }));
+}
+
+module.exports = {
+  SURFACE_CONDITIONS,
+  SKI_HOUR,
+  stepSurface,
+  classifySurface,
+  addSurfaceCondition
+};
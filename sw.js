@@ -0,0 +1,100 @@
+// Service worker for the personal alerts: re-runs the last-24-hours calculation in the background
+// and shows a notification when a saved rule starts matching.
+// The page (app.js) sends the rules, since a service worker can't read localStorage; they are kept in
+// Cache Storage together with the ids of the rules that matched at the last check.
+
+importScripts('stations.js', 'smhi_api.js', 'snowfall.js', 'hourly.js', 'custom_alerts.js');
+
+const ALERTS_CACHE = 'isitfluffy-alerts';
+const RULES_KEY = 'alerts/rules.json';
+const MATCHING_KEY = 'alerts/matching.json';
+
+// Rule updates and checks run one at a time, so a check right after saving sees the new rules
+let queue = Promise.resolve();
+const enqueue = (task) => (queue = queue.catch(() => {}).then(task));
+
+/**
+ * Read a JSON value from the alerts cache
+ */
+async function readStored(key, fallback) {
+    const cache = await caches.open(ALERTS_CACHE);
+    const response = await cache.match(key);
+    return response ? response.json() : fallback;
+}
+
+/**
+ * Write a JSON value to the alerts cache
+ */
+async function writeStored(key, value) {
+    const cache = await caches.open(ALERTS_CACHE);
+    await cache.put(key, new Response(JSON.stringify(value), { headers: { 'Content-Type': 'application/json' } }));
+}
+
+/**
+ * Fetch the last 24 hours for every station with a rule and notify about rules that started matching
+ */
+async function checkAlerts() {
+    const rules = await readStored(RULES_KEY, []);
+    if (rules.length === 0) return;
+
+    const summaries = {};
+    for (const key of new Set(rules.map(rule => rule.station))) {
+        const station = getStation(key);
+        if (!station) continue;
+        try {
+            summaries[key] = summarizeHours(await fetchLast24Hours(station));
+        } catch (error) {
+            console.error(`Alert check failed for ${station.name}:`, error);
+        }
+    }
+
+    // Rules for stations that couldn't be fetched keep their previous state
+    const previous = await readStored(MATCHING_KEY, []);
+    const { notify, matching } = evaluateCustomAlerts(rules, summaries, previous);
+    const unchecked = previous.filter(id => rules.some(rule => rule.id === id && !summaries[rule.station]));
+    await writeStored(MATCHING_KEY, [...matching, ...unchecked]);
+
+    await Promise.all(notify.map(rule => {
+        const station = getStation(rule.station);
+        const summary = summaries[rule.station];
+        return self.registration.showNotification(`❄️ ${station.name}: ${summary.snowCm.toFixed(1)} cm senaste 24 h`, {
+            body: `Ditt larm (${describeCustomRule(rule)}) slog till: SLR ${Math.round(summary.slr)}, ${summary.rainMm.toFixed(1)} mm regn`,
+            tag: rule.id,
+            data: { url: `index.html?station=${station.key}` }
+        });
+    }));
+}
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+// Messages from the page: { type: 'rules', rules } when the rules change, { type: 'check' } to check now
+self.addEventListener('message', (event) => {
+    const { type, rules } = event.data || {};
+    if (type === 'rules') {
+        // Forget the state of removed rules, so a rule saved again notifies again
+        event.waitUntil(enqueue(async () => {
+            await writeStored(RULES_KEY, rules);
+            const matching = await readStored(MATCHING_KEY, []);
+            await writeStored(MATCHING_KEY, matching.filter(id => rules.some(rule => rule.id === id)));
+        }));
+    } else if (type === 'check') {
+        event.waitUntil(enqueue(checkAlerts));
+    }
+});
+
+// Periodic Background Sync (where the browser supports it) checks with the page closed
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === CUSTOM_ALERTS_SYNC_TAG) {
+        event.waitUntil(enqueue(checkAlerts));
+    }
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || 'index.html', self.registration.scope).href;
+    event.waitUntil(self.clients.matchAll({ type: 'window' }).then(windows => {
+        const open = windows.find(client => client.url === url);
+        return open ? open.focus() : self.clients.openWindow(url);
+    }));
+});
@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  QUALITY_POLICIES,
+  DEFAULT_QUALITY_POLICY,
+  getMetDayKey,
+  aggregateDailyRows
+} = require('./daily_aggregation.js');
+const { STATIONS, getStationDataDir, parseStationArg } = require('./stations.js');
+const { VERIFICATION_FILE } = require('./seasons.js');
+const { readForecastArchive } = require('./forecast.js');
+const { readHourlyData } = require('./fetch_data.js');
+
+/**
+ * Forecast verification.
+ *
+ * Scores the archived forecast runs (forecast_archive.csv, see forecast.js) against the snowfall
+ * computed from the observed hours in weather_data.csv, per lead time in met-days:
+ * - bias: mean of forecast minus actual snowfall (cm), positive when the forecast gives too much snow
+ * - MAE: mean absolute error (cm)
+ * - hit rate: share of days with at least HIT_THRESHOLD_CM of snow that the forecast also gave at least that
+ * - false alarm ratio: share of the days forecast with at least HIT_THRESHOLD_CM that got less
+ * Only met-days that have ended, that the forecast covers completely and that have at least
+ * MIN_OBSERVED_HOURS observed hours of precipitation are scored.
+ *
+ * Usage:
+ *   node verification.js [--station=<key>] [--quality=drop|keep|flag]
+ */
+
+// Snowfall (cm) for a "big snow day" in the hit rate
+const HIT_THRESHOLD_CM = 5;
+// Forecast hours for a whole met-day (the first and last day of a run are partial)
+const FULL_DAY_HOURS = 24;
+// Observed hours with precipitation needed to score a met-day
+const MIN_OBSERVED_HOURS = 20;
+
+const round = (value, decimals = 2) => Number(value.toFixed(decimals));
+
+/**
+ * Actual snowfall per met-day from the observed hours
+ * @param {Array<Object>} hourlyData - Hourly records (see daily_aggregation.js)
+ * @param {Array<string>} days - Met-days to compute (YYYY-MM-DD)
+ * @param {Object} options
+ * @param {string} options.qualityPolicy - 'drop', 'keep' or 'flag'
+ * @param {number} options.elevation - Station elevation (m)
+ * @returns {Map<string, number>} Snowfall (cm) for the days with enough observed hours
+ */
+function calculateActualSnowfall(hourlyData, days, { qualityPolicy = DEFAULT_QUALITY_POLICY, elevation = 0 } = {}) {
+  const onlyDays = new Set(days);
+
+  const observedHours = {};
+  hourlyData.forEach(hour => {
+    if (hour.precipitation === undefined) return;
+    const dayKey = getMetDayKey(new Date(hour.timestamp));
+    if (onlyDays.has(dayKey)) {
+      observedHours[dayKey] = (observedHours[dayKey] || 0) + 1;
+    }
+  });
+
+  const actualByDay = new Map();
+  aggregateDailyRows(hourlyData, { qualityPolicy, onlyDays, elevation }).forEach(row => {
+    if ((observedHours[row.date] || 0) >= MIN_OBSERVED_HOURS) {
+      actualByDay.set(row.date, parseFloat(row.snow_cm));
+    }
+  });
+  return actualByDay;
+}
+
+/**
+ * Skill scores for one lead time
+ * @param {number} lead - Lead time (met-days)
+ * @param {Array<{forecast: number, actual: number}>} pairs - Forecast and actual snowfall (cm)
+ * @param {number} threshold - Snowfall (cm) for the hit rate
+ */
+function summarizeLeadTime(lead, pairs, threshold) {
+  const errors = pairs.map(pair => pair.forecast - pair.actual);
+  const hits = pairs.filter(pair => pair.actual >= threshold && pair.forecast >= threshold).length;
+  const misses = pairs.filter(pair => pair.actual >= threshold && pair.forecast < threshold).length;
+  const falseAlarms = pairs.filter(pair => pair.actual < threshold && pair.forecast >= threshold).length;
+
+  return {
+    lead,
+    days: pairs.length,
+    bias: round(errors.reduce((sum, error) => sum + error, 0) / pairs.length),
+    mae: round(errors.reduce((sum, error) => sum + Math.abs(error), 0) / pairs.length),
+    events: hits + misses,
+    hits,
+    misses,
+    falseAlarms,
+    hitRate: hits + misses > 0 ? round(hits / (hits + misses)) : null,
+    falseAlarmRatio: hits + falseAlarms > 0 ? round(falseAlarms / (hits + falseAlarms)) : null
+  };
+}
+
+/**
+ * Score archived forecasts against the actual snowfall
+ * @param {Array<Object>} archiveRows - From readForecastArchive, in run order
+ * @param {Map<string, number>} actualByDay - From calculateActualSnowfall
+ * @param {number} threshold - Snowfall (cm) for the hit rate
+ * @returns {{ leadTimes: Array<Object>, days: Array<Object> }} Scores per lead time, and per scored
+ *   met-day the actual snowfall and the forecast for every lead time (the latest run when there are several)
+ */
+function scoreForecasts(archiveRows, actualByDay, threshold = HIT_THRESHOLD_CM) {
+  const pairsByLead = new Map();
+  const days = new Map();
+
+  archiveRows.forEach(row => {
+    if (parseInt(row.hours, 10) < FULL_DAY_HOURS || !actualByDay.has(row.date)) return;
+
+    const lead = parseInt(row.lead_days, 10);
+    const forecast = parseFloat(row.snow_cm);
+    const actual = actualByDay.get(row.date);
+
+    if (!pairsByLead.has(lead)) pairsByLead.set(lead, []);
+    pairsByLead.get(lead).push({ forecast, actual });
+
+    if (!days.has(row.date)) days.set(row.date, { date: row.date, actual: round(actual), forecasts: {} });
+    days.get(row.date).forecasts[lead] = round(forecast);
+  });
+
+  return {
+    leadTimes: [...pairsByLead.keys()]
+      .sort((a, b) => a - b)
+      .map(lead => summarizeLeadTime(lead, pairsByLead.get(lead), threshold)),
+    days: [...days.values()].sort((a, b) => a.date.localeCompare(b.date))
+  };
+}
+
+/**
+ * Score the archived forecasts for a station and write data/<station>/verification.json
+ * The "updated" time only changes when the scores do.
+ * @param {Object} station - Station from the registry
+ * @param {Object} options
+ * @param {string} options.qualityPolicy - How suspect observed values are handled
+ * @returns {Object|null} The written verification, null without archived forecasts
+ */
+function updateVerification(station, { qualityPolicy = DEFAULT_QUALITY_POLICY } = {}) {
+  const filePath = path.join(__dirname, getStationDataDir(station), VERIFICATION_FILE);
+  const archiveRows = readForecastArchive(station);
+  if (archiveRows.length === 0) {
+    console.log(`No archived forecasts for ${station.name}, skipping verification`);
+    return null;
+  }
+
+  // Only met-days that have ended
+  const currentDay = getMetDayKey(new Date());
+  const days = [...new Set(archiveRows.map(row => row.date))].filter(date => date < currentDay);
+  const hourlyData = [...readHourlyData(station).values()];
+  const actualByDay = calculateActualSnowfall(hourlyData, days, { qualityPolicy, elevation: station.elevation });
+
+  const scores = {
+    station: station.key,
+    threshold: HIT_THRESHOLD_CM,
+    runs: new Set(archiveRows.map(row => row.reference_time)).size,
+    ...scoreForecasts(archiveRows, actualByDay)
+  };
+
+  const { updated, ...previous } = fs.existsSync(filePath)
+    ? JSON.parse(fs.readFileSync(filePath, 'utf-8'))
+    : {};
+  const unchanged = JSON.stringify(previous) === JSON.stringify(scores);
+  const verification = { ...scores, updated: unchanged ? updated : new Date().toISOString() };
+
+  fs.writeFileSync(filePath, JSON.stringify(verification, null, 2) + '\n');
+  console.log(`Updated ${VERIFICATION_FILE} for ${station.name}: ${verification.runs} runs, ${verification.days.length} scored days`);
+  return verification;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  // Optional --station=<key> limits the run to one station
+  const station = parseStationArg(args);
+
+  const qualityPolicy = args.find(arg => arg.startsWith('--quality='))?.split('=')[1] || DEFAULT_QUALITY_POLICY;
+  if (!QUALITY_POLICIES.includes(qualityPolicy)) {
+    console.error(`Unknown quality policy: ${qualityPolicy} (known: ${QUALITY_POLICIES.join(', ')})`);
+    process.exit(1);
+  }
+
+  try {
+    for (const target of station ? [station] : STATIONS) {
+      updateVerification(target, { qualityPolicy });
+    }
+  } catch (error) {
+    console.error('Error in verification:', error);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  calculateActualSnowfall,
+  scoreForecasts,
+  updateVerification
+};
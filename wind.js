@@ -0,0 +1,309 @@
+const fs = require('fs');
+const path = require('path');
+const { calculateSnowfallForHour, DEFAULT_WET_BULB_METHOD } = require('./snowfall.js');
+const { getMetDayKey, applyQualityPolicy, DEFAULT_QUALITY_POLICY } = require('./daily_aggregation.js');
+const { getStationDataDir } = require('./stations.js');
+const { WIND_ROSE_FILE, getWinterSeasonStartYear } = require('./seasons.js');
+
+/**
+ * Daily snow drift index and prevailing drift direction.
+ *
+ * Wind can only move snow that is still loose, so the model keeps a reservoir of
+ * drift-prone new snow (cm):
+ * - New snow (calculateSnowfall) fills the reservoir
+ * - The snow bonds over time and stops drifting, faster when it is mild (see getBondingHours)
+ * - Rain glues it in place and empties the reservoir
+ * Each hour where the wind (10 m) is above the transport threshold drifts
+ * availability * (wind - threshold)³ / DRIFT_SCALE, where availability is the
+ * reservoir relative to FULL_AVAILABILITY_CM (at most 1). The daily index is the
+ * sum over the met-day, so drifting during snowfall and in the hours after counts.
+ *
+ * The drift direction is the direction the wind came from (degrees, 0 = N), as the
+ * vector mean of wind_direction weighted by each hour's drift. Snow is scoured from
+ * slopes facing the wind and loaded on the lee side, facing direction + 180°.
+ *
+ * The wind rose (data/<station>/windrose.json) shows which directions bring the snow:
+ *   {
+ *     "station": "klovsjo",
+ *     "sectors": 16,
+ *     "seasons": [
+ *       { "year": 2024, "label": "2024-2025", "snowHours": 412, "snowCm": 298.1, "slr": 12.4,
+ *         "calm": { "snowHours": 37, "snowCm": 21.0, "slr": 13.1 },
+ *         "sectors": [{ "direction": 0, "snowHours": 12, "snowCm": 8.3, "slr": 14.2, "windSpeed": 3.1 }, ...],
+ *         "updated": "2025-05-02T08:20:11.000Z" }
+ *     ]
+ *   }
+ * Sector directions are where the wind came from (degrees, centre of the sector). Snow hours
+ * in calm (below CALM_WIND) or without a wind direction are counted under calm.
+ */
+
+// Transport threshold for fresh dry snow (m/s at 10 m)
+const DRIFT_THRESHOLD_WIND = 5;
+// The threshold rises towards 0 °C as the snow gets sticky (m/s per °C above THRESHOLD_COLD_LIMIT)
+const DRIFT_THRESHOLD_WARMING = 0.2;
+const THRESHOLD_COLD_LIMIT = -10;
+// Loose snow (cm) at which all of the wind's transport capacity can be used
+const FULL_AVAILABILITY_CM = 10;
+// Scales the index so a day of moderate drifting lands around 5-20
+const DRIFT_SCALE = 10;
+// Time constants (hours) for new snow to bond: cold, near zero and thawing
+const BONDING_HOURS_COLD = 48;
+const BONDING_HOURS_NEAR_ZERO = 24;
+const BONDING_HOURS_THAW = 3;
+
+// Wind rose: number of direction sectors, and wind (m/s) below which the direction is meaningless
+const WIND_ROSE_SECTORS = 16;
+const CALM_WIND = 0.5;
+
+/**
+ * Time constant (hours) for loose snow to bond at a temperature
+ */
+function getBondingHours(temp) {
+  if (temp > 0) return BONDING_HOURS_THAW;
+  if (temp > -5) return BONDING_HOURS_NEAR_ZERO;
+  return BONDING_HOURS_COLD;
+}
+
+/**
+ * Wind speed (m/s) needed to move loose snow at a temperature
+ */
+function getDriftThreshold(temp) {
+  return DRIFT_THRESHOLD_WIND + DRIFT_THRESHOLD_WARMING * Math.max(0, temp - THRESHOLD_COLD_LIMIT);
+}
+
+/**
+ * Advance the loose snow reservoir one hour and compute the hour's drift
+ * @param {number} looseSnow - Drift-prone snow (cm) before the hour
+ * @param {Object} hour - Hourly record (temperature, precipitation, wind_speed, wind_direction, ...)
+ * @param {number} elevation - Station elevation (m), for the station pressure in the wet bulb
+ * @param {string} wetBulbMethod - Wet-bulb method (key in WET_BULB_METHODS)
+ * @returns {{ looseSnow: number, drift: number }}
+ */
+function stepDrift(looseSnow, hour, elevation = 0, wetBulbMethod = DEFAULT_WET_BULB_METHOD) {
+  const temp = hour.temperature;
+  let loose = looseSnow * Math.exp(-1 / getBondingHours(temp));
+
+  if (hour.precipitation > 0) {
+    const snowCalc = calculateSnowfallForHour(hour, { elevation, wetBulbMethod });
+    if (snowCalc.rainMm > 0) {
+      loose = 0;
+    }
+    if (snowCalc.amount > 0) {
+      loose += snowCalc.amount;
+    }
+  }
+
+  const wind = hour.wind_speed;
+  if (wind === undefined || loose <= 0) {
+    return { looseSnow: loose, drift: 0 };
+  }
+
+  const excess = wind - getDriftThreshold(temp);
+  if (excess <= 0) {
+    return { looseSnow: loose, drift: 0 };
+  }
+
+  const availability = Math.min(loose / FULL_AVAILABILITY_CM, 1);
+  return { looseSnow: loose, drift: (availability * excess ** 3) / DRIFT_SCALE };
+}
+
+/**
+ * Vector mean of wind directions
+ * @param {Array<{ direction: number, weight: number }>} samples - Directions in degrees (0 = N)
+ * @returns {number|null} Mean direction in degrees (0-359), null without weight
+ */
+function meanDirection(samples) {
+  let x = 0;
+  let y = 0;
+  samples.forEach(({ direction, weight }) => {
+    const radians = (direction * Math.PI) / 180;
+    x += weight * Math.sin(radians);
+    y += weight * Math.cos(radians);
+  });
+  if (Math.hypot(x, y) < 1e-9) return null;
+  return Math.round(((Math.atan2(x, y) * 180) / Math.PI + 360) % 360) % 360;
+}
+
+/**
+ * Run the drift model over an hourly series
+ * Hours without temperature are skipped (the reservoir is unchanged).
+ * @param {Array<Object>} hourlyData - Hourly records (see daily_aggregation.js), any order
+ * @param {Object} options
+ * @param {string} options.qualityPolicy - 'drop', 'keep' or 'flag' (default 'flag')
+ * @param {number} options.elevation - Station elevation (m)
+ * @param {string} options.wetBulbMethod - Wet-bulb method (key in WET_BULB_METHODS)
+ * @returns {Map<string, { index: number, direction: number|null }>} Drift per met-day (YYYY-MM-DD)
+ */
+function modelDrift(hourlyData, {
+  qualityPolicy = DEFAULT_QUALITY_POLICY,
+  elevation = 0,
+  wetBulbMethod = DEFAULT_WET_BULB_METHOD
+} = {}) {
+  const sorted = [...hourlyData].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const days = new Map();
+  let looseSnow = 0;
+
+  for (const record of sorted) {
+    const { hour } = applyQualityPolicy(record, qualityPolicy);
+    if (hour.temperature === undefined) continue;
+
+    const step = stepDrift(looseSnow, hour, elevation, wetBulbMethod);
+    looseSnow = step.looseSnow;
+
+    const dayKey = getMetDayKey(new Date(record.timestamp));
+    if (!days.has(dayKey)) {
+      days.set(dayKey, { index: 0, samples: [] });
+    }
+    const day = days.get(dayKey);
+    day.index += step.drift;
+    if (step.drift > 0 && hour.wind_direction !== undefined) {
+      day.samples.push({ direction: hour.wind_direction, weight: step.drift });
+    }
+  }
+
+  return new Map([...days.entries()].map(([date, day]) => [
+    date,
+    { index: day.index, direction: meanDirection(day.samples) }
+  ]));
+}
+
+/**
+ * Add drift_index and drift_direction to daily rows
+ * The model runs over all hourly data, since loose snow carries over from day to day.
+ * @param {Array<Object>} rows - Daily rows with at least { date }
+ * @param {Array<Object>} hourlyData - Hourly records
+ * @param {Object} options - See modelDrift
+ * @returns {Array<Object>} rows with drift_index (string, 1 decimal) and drift_direction
+ *   (degrees, empty without drift or wind direction); both empty without hourly data
+ */
+function addDriftIndex(rows, hourlyData, options = {}) {
+  const driftByDay = modelDrift(hourlyData, options);
+  return rows.map(row => {
+    const drift = driftByDay.get(row.date);
+    return {
+      ...row,
+      drift_index: drift ? drift.index.toFixed(1) : '',
+      drift_direction: drift && drift.direction !== null ? String(drift.direction) : ''
+    };
+  });
+}
+
+/**
+ * Snow totals and snow-weighted SLR for a wind rose bin
+ */
+function summarizeBin(bin) {
+  return {
+    snowHours: bin.snowHours,
+    snowCm: Number(bin.snowCm.toFixed(1)),
+    slr: bin.snowCm > 0 ? Number((bin.weightedSlr / bin.snowCm).toFixed(1)) : null
+  };
+}
+
+/**
+ * Build a wind rose of snowfall hours per winter season
+ * Every hour with snow (calculateSnowfall) is put in the sector its wind came from.
+ * @param {Array<Object>} hourlyData - Hourly records (see daily_aggregation.js)
+ * @param {Object} options
+ * @param {string} options.qualityPolicy - 'drop', 'keep' or 'flag' (default 'flag')
+ * @param {number} options.elevation - Station elevation (m)
+ * @param {string} options.wetBulbMethod - Wet-bulb method (key in WET_BULB_METHODS)
+ * @param {Array<number>|null} options.seasons - Only these seasons (starting years)
+ * @returns {Array<Object>} Season entries (without updated) sorted by year, see the format above
+ */
+function buildWindRoses(hourlyData, {
+  qualityPolicy = DEFAULT_QUALITY_POLICY,
+  elevation = 0,
+  wetBulbMethod = DEFAULT_WET_BULB_METHOD,
+  seasons = null
+} = {}) {
+  const sectorWidth = 360 / WIND_ROSE_SECTORS;
+  const newBin = () => ({ snowHours: 0, snowCm: 0, weightedSlr: 0, windSum: 0 });
+  const roses = {};
+
+  for (const record of hourlyData) {
+    const { hour } = applyQualityPolicy(record, qualityPolicy);
+    if (hour.temperature === undefined || !(hour.precipitation > 0)) continue;
+
+    const season = getWinterSeasonStartYear(new Date(getMetDayKey(new Date(record.timestamp))));
+    if (season === null || (seasons && !seasons.includes(season))) continue;
+
+    const { amount, slr } = calculateSnowfallForHour(hour, { elevation, wetBulbMethod });
+    if (!(amount > 0)) continue;
+
+    if (!roses[season]) {
+      roses[season] = { calm: newBin(), sectors: Array.from({ length: WIND_ROSE_SECTORS }, newBin) };
+    }
+    const calm = hour.wind_direction === undefined || !(hour.wind_speed >= CALM_WIND);
+    const bin = calm
+      ? roses[season].calm
+      : roses[season].sectors[Math.round(hour.wind_direction / sectorWidth) % WIND_ROSE_SECTORS];
+    bin.snowHours++;
+    bin.snowCm += amount;
+    bin.weightedSlr += slr * amount;
+    bin.windSum += hour.wind_speed || 0;
+  }
+
+  return Object.keys(roses).map(Number).sort((a, b) => a - b).map(year => {
+    const { calm, sectors } = roses[year];
+    const total = [calm, ...sectors].reduce((sum, bin) => ({
+      snowHours: sum.snowHours + bin.snowHours,
+      snowCm: sum.snowCm + bin.snowCm,
+      weightedSlr: sum.weightedSlr + bin.weightedSlr
+    }), { snowHours: 0, snowCm: 0, weightedSlr: 0 });
+
+    return {
+      year,
+      label: `${year}-${year + 1}`,
+      ...summarizeBin(total),
+      calm: summarizeBin(calm),
+      sectors: sectors.map((bin, index) => ({
+        direction: index * sectorWidth,
+        ...summarizeBin(bin),
+        windSpeed: bin.snowHours > 0 ? Number((bin.windSum / bin.snowHours).toFixed(1)) : null
+      }))
+    };
+  });
+}
+
+/**
+ * Update data/<station>/windrose.json with the seasons in an hourly series
+ * Seasons not in the series are kept as they are; entries that didn't change keep their "updated" time.
+ * @param {Object} station - Station from the registry
+ * @param {Array<Object>} hourlyData - Hourly records
+ * @param {Object} options - See buildWindRoses (elevation defaults to the station's)
+ * @returns {Object} The written wind rose file
+ */
+function updateWindRoses(station, hourlyData, options = {}) {
+  const filePath = path.join(__dirname, getStationDataDir(station), WIND_ROSE_FILE);
+
+  const previous = {};
+  if (fs.existsSync(filePath)) {
+    JSON.parse(fs.readFileSync(filePath, 'utf-8')).seasons.forEach(entry => {
+      previous[entry.year] = entry;
+    });
+  }
+
+  const entries = { ...previous };
+  const now = new Date().toISOString();
+  buildWindRoses(hourlyData, { elevation: station.elevation, ...options }).forEach(entry => {
+    const { updated, ...previousEntry } = previous[entry.year] || {};
+    const unchanged = JSON.stringify(previousEntry) === JSON.stringify(entry);
+    entries[entry.year] = { ...entry, updated: unchanged ? updated : now };
+  });
+
+  const seasons = Object.values(entries).sort((a, b) => a.year - b.year);
+  const windRose = { station: station.key, sectors: WIND_ROSE_SECTORS, seasons };
+  fs.writeFileSync(filePath, JSON.stringify(windRose, null, 2) + '\n');
+  console.log(`Updated ${WIND_ROSE_FILE} for ${station.name} (${seasons.length} seasons)`);
+  return windRose;
+}
+
+module.exports = {
+  stepDrift,
+  modelDrift,
+  meanDirection,
+  getDriftThreshold,
+  addDriftIndex,
+  buildWindRoses,
+  updateWindRoses
+};
@@ -0,0 +1,293 @@
+// Wind rose page - which directions bring the snow, and how fluffy it is
+// Note: stations.js and seasons.js must be loaded before windrose.js
+
+// Selected station (from ?station=, defaults to Klövsjö)
+const currentStation = getStationFromURL();
+
+let windroseChartInstance = null;
+let windRoseSeasons = [];
+let currentSeason = null;
+let currentView = 'snowCm'; // 'snowCm' or 'snowHours'
+
+// Direction names for 16 sectors, clockwise from north
+const SECTOR_NAMES = ['N', 'NNO', 'NO', 'ONO', 'O', 'OSO', 'SO', 'SSO', 'S', 'SSV', 'SV', 'VSV', 'V', 'VNV', 'NV', 'NNV'];
+
+/**
+ * Get color for an SLR value, same gradient as the legend (and getSnowColor in app.js)
+ * @param {number|null} slr - Snow-to-liquid ratio, null for sectors without snow
+ */
+function getSlrColor(slr) {
+    if (slr === null) return 'rgba(200, 200, 200, 0.5)';
+
+    const gradientStops = [
+        { percent: 0, color: [120, 60, 140] },      // Purple (SLR 5)
+        { percent: 20, color: [30, 60, 120] },      // Dark blue
+        { percent: 40, color: [70, 130, 180] },     // Medium blue
+        { percent: 70, color: [135, 206, 250] },    // Light blue
+        { percent: 100, color: [245, 252, 255] }    // Ice blue (SLR 30)
+    ];
+    const percent = ((Math.max(5, Math.min(30, slr)) - 5) / (30 - 5)) * 100;
+
+    const endIndex = gradientStops.findIndex(stop => stop.percent >= percent);
+    const end = gradientStops[Math.max(endIndex, 1)];
+    const start = gradientStops[Math.max(endIndex, 1) - 1];
+    const factor = (percent - start.percent) / (end.percent - start.percent);
+    const channel = (i) => Math.round(start.color[i] + factor * (end.color[i] - start.color[i]));
+
+    return `rgb(${channel(0)}, ${channel(1)}, ${channel(2)})`;
+}
+
+/**
+ * Fetch the wind roses for the station (data/<station>/windrose.json, written by wind.js)
+ * @returns {Promise<Array<Object>>} Season entries sorted by year, empty if the file is missing
+ */
+async function fetchWindRoses() {
+    try {
+        const response = await fetch(`${getStationDataDir(currentStation)}/${WIND_ROSE_FILE}`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const windRose = await response.json();
+        return windRose.seasons || [];
+    } catch (error) {
+        console.error('Error fetching wind rose:', error);
+        return [];
+    }
+}
+
+/**
+ * Get season from the "year" URL parameter, or null
+ */
+function getYearFromURL() {
+    const year = parseInt(new URLSearchParams(window.location.search).get('year'), 10);
+    return isNaN(year) ? null : year;
+}
+
+/**
+ * Populate the season selector, newest season first
+ */
+function setupSeasonSelector() {
+    const select = document.getElementById('seasonSelect');
+    if (!select) return;
+
+    const currentYear = getCurrentSeasonStartYear();
+    select.innerHTML = [...windRoseSeasons]
+        .reverse()
+        .map(season => {
+            const label = season.year === currentYear ? `${season.label} (nu)` : season.label;
+            return `<option value="${season.year}">${label}</option>`;
+        })
+        .join('');
+    select.value = currentSeason.year;
+
+    select.addEventListener('change', () => {
+        currentSeason = windRoseSeasons.find(season => season.year === Number(select.value));
+
+        const url = new URL(window.location);
+        url.searchParams.set('year', currentSeason.year);
+        window.history.replaceState({ year: currentSeason.year }, '', url);
+
+        renderChart();
+        renderStats();
+        updateSubtitle();
+    });
+}
+
+/**
+ * Setup toggle between snowfall and snow hours
+ */
+function setupToggle() {
+    const toggleBtns = document.querySelectorAll('.toggle-btn');
+
+    toggleBtns.forEach(btn => {
+        btn.addEventListener('click', () => {
+            const view = btn.dataset.view;
+            if (view === currentView) return;
+
+            toggleBtns.forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+
+            currentView = view;
+            renderChart();
+        });
+    });
+}
+
+/**
+ * Render the wind rose for the selected season
+ */
+function renderChart() {
+    if (windroseChartInstance) {
+        windroseChartInstance.destroy();
+    }
+
+    const ctx = document.getElementById('windroseChart').getContext('2d');
+    const sectors = currentSeason.sectors;
+    const sectorWidth = 360 / sectors.length;
+    const unit = currentView === 'snowCm' ? 'cm' : 'timmar';
+
+    windroseChartInstance = new Chart(ctx, {
+        type: 'polarArea',
+        data: {
+            labels: sectors.map((sector, index) => SECTOR_NAMES[index]),
+            datasets: [{
+                label: currentView === 'snowCm' ? 'Snöfall' : 'Snötimmar',
+                data: sectors.map(sector => sector[currentView]),
+                backgroundColor: sectors.map(sector => getSlrColor(sector.slr)),
+                borderColor: 'rgba(44, 62, 80, 0.4)',
+                borderWidth: 1
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            // Centre the first sector on north
+            startAngle: -sectorWidth / 2,
+            plugins: {
+                legend: {
+                    display: false
+                },
+                tooltip: {
+                    callbacks: {
+                        title: (context) => `Vind från ${context[0].label}`,
+                        label: (context) => {
+                            const sector = sectors[context.dataIndex];
+                            if (sector.snowHours === 0) {
+                                return 'Inget snöfall';
+                            }
+                            return [
+                                `Snöfall: ${sector.snowCm.toFixed(1)} cm`,
+                                `Snötimmar: ${sector.snowHours}`,
+                                `Fluffighet (SLR): ${sector.slr.toFixed(1)}`,
+                                `Medelvind: ${sector.windSpeed.toFixed(1)} m/s`
+                            ];
+                        }
+                    }
+                }
+            },
+            scales: {
+                r: {
+                    beginAtZero: true,
+                    ticks: {
+                        callback: (value) => `${value} ${unit}`,
+                        backdropColor: 'rgba(255, 255, 255, 0.6)'
+                    },
+                    pointLabels: {
+                        display: true,
+                        centerPointLabels: true
+                    }
+                }
+            }
+        }
+    });
+
+    const loadingElement = document.querySelector('#windroseChart').nextElementSibling;
+    if (loadingElement && loadingElement.classList.contains('loading')) {
+        loadingElement.style.display = 'none';
+    }
+}
+
+/**
+ * Render statistics for the selected season
+ */
+function renderStats() {
+    const statsGrid = document.getElementById('statsGrid');
+    if (!statsGrid) return;
+
+    const { sectors, calm } = currentSeason;
+    const named = sectors.map((sector, index) => ({ ...sector, name: SECTOR_NAMES[index] }));
+    const snowiest = named.reduce((best, sector) => (sector.snowCm > best.snowCm ? sector : best));
+
+    // Fluffiest direction among those that brought at least 5% of the snow
+    const significant = named.filter(sector => sector.slr !== null && sector.snowCm >= currentSeason.snowCm * 0.05);
+    const fluffiest = significant.length > 0
+        ? significant.reduce((best, sector) => (sector.slr > best.slr ? sector : best))
+        : null;
+
+    const share = (cm) => (currentSeason.snowCm > 0 ? Math.round((100 * cm) / currentSeason.snowCm) : 0);
+
+    statsGrid.innerHTML = `
+        <div class="stat-card">
+            <div class="stat-label">Mest snö från</div>
+            <div class="stat-value">${snowiest.name}</div>
+            <div class="stat-season">${Math.round(snowiest.snowCm)} cm (${share(snowiest.snowCm)}%)</div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-label">Fluffigast från</div>
+            <div class="stat-value best">${fluffiest ? fluffiest.name : '-'}</div>
+            <div class="stat-season">${fluffiest ? `SLR ${fluffiest.slr.toFixed(1)}` : ''}</div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-label">Snöfall</div>
+            <div class="stat-value">${Math.round(currentSeason.snowCm)} cm</div>
+            <div class="stat-season">${currentSeason.snowHours} timmar, SLR ${currentSeason.slr !== null ? currentSeason.slr.toFixed(1) : '-'}</div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-label">Stiltje</div>
+            <div class="stat-value">${Math.round(calm.snowCm)} cm</div>
+            <div class="stat-season">${calm.snowHours} timmar utan vindriktning</div>
+        </div>
+    `;
+}
+
+/**
+ * Update subtitle for the selected season
+ */
+function updateSubtitle() {
+    const subtitleEl = document.getElementById('subtitle');
+    if (subtitleEl) {
+        subtitleEl.textContent = `Varifrån kommer snön i ${currentStation.name}? Säsongen ${currentSeason.label}`;
+    }
+    document.title = `isitfluffy - Vindros ${currentStation.name} ${currentSeason.label}`;
+}
+
+/**
+ * Show error message
+ */
+function showError(message) {
+    const container = document.querySelector('.chart-container');
+    if (container) {
+        container.innerHTML = `<div class="error">${message}</div>`;
+    }
+}
+
+/**
+ * Initialize the wind rose page
+ */
+async function initWindRose() {
+    initStationSelector(currentStation);
+
+    const descriptionEl = document.getElementById('stationDescription');
+    if (descriptionEl) {
+        descriptionEl.textContent = `Data från SMHI väderstation i ${currentStation.name}.`;
+    }
+
+    try {
+        windRoseSeasons = await fetchWindRoses();
+        if (windRoseSeasons.length === 0) {
+            showError('Ingen vinddata tillgänglig');
+            return;
+        }
+
+        // Season from ?year=, otherwise the newest season
+        const year = getYearFromURL();
+        currentSeason = windRoseSeasons.find(season => season.year === year)
+            || windRoseSeasons[windRoseSeasons.length - 1];
+
+        setupSeasonSelector();
+        setupToggle();
+        updateSubtitle();
+        renderStats();
+        renderChart();
+    } catch (error) {
+        console.error('Error initializing wind rose page:', error);
+        showError(`Fel vid laddning: ${error.message}`);
+    }
+}
+
+// Initialize when page loads
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initWindRose);
+} else {
+    initWindRose();
+}